@@ -1,147 +1,1625 @@
 import { chromium } from "@playwright/test";
-import { spawn } from "child_process";
 import { promises as fs } from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import axios from "axios";
-import { S3Client, PutObjectCommand } from "@aws-sdk/client-s3";
 import mime from "mime-types";
 import express from "express";
+import { createJobQueue, isFinished, serializeJob } from "./lib/job-queue.js";
+import { createWebhookNotifier } from "./lib/webhook.js";
+import { createStorage } from "./lib/storage.js";
+import {
+  concatSegments,
+  createDiskFrameSink,
+  createStreamingEncoder,
+  getCaptureFormat,
+  shouldStreamFrames,
+  stitchFramesToVideo,
+} from "./lib/encoding.js";
+import { mixAudioTrack, muxAudio, prepareAudioSources } from "./lib/audio.js";
+import { findPreviewOutput, generatePreviews } from "./lib/previews.js";
+import { createBrowserPool } from "./lib/browser-pool.js";
+import { detectAnimationDuration } from "./lib/duration.js";
+import { createAssetCache, DEFAULT_CACHE_HOSTS } from "./lib/asset-cache.js";
+import { applySandbox, SANDBOX_PAGE_URL } from "./lib/sandbox.js";
+import { installMapboxHooks, waitForMapsReady } from "./lib/mapbox.js";
+import {
+  DEFAULT_DEVICE_SCALE_FACTOR,
+  installVariantGlobal,
+} from "./lib/variants.js";
+import { createTemplateStore, installTemplateData } from "./lib/templates.js";
+import { createRenderCache, renderCacheKey } from "./lib/render-cache.js";
+import {
+  createResourceBudget,
+  enterPhase,
+  JOB_DIR_PREFIX,
+  JobTimeoutError,
+  limitFrameSink,
+  ResourceLimitError,
+  runInPhaseScope,
+  runWithDeadline,
+  sweepJobDirs,
+  sweepWorkerDirs,
+  workerDirName,
+} from "./lib/guardrails.js";
+import {
+  createDiagnostics,
+  DIAGNOSTICS_MODES,
+  getDiagnostics,
+  runWithDiagnostics,
+} from "./lib/diagnostics.js";
+import {
+  checkSegmentBoundaries,
+  mergeFrameDirs,
+  planSegment,
+  resolveSegmentCount,
+} from "./lib/segments.js";
+import {
+  CAPTURE_DEFAULTS,
+  LIMITS,
+  ValidationError,
+  validateJobInput,
+} from "./lib/validation.js";
+import {
+  createLogger,
+  runWithLogContext,
+  setLogContext,
+  setLogLevel,
+} from "./lib/logger.js";
+import * as metrics from "./lib/metrics.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+const packageJson = JSON.parse(
+  await fs.readFile(path.join(__dirname, "package.json"), "utf8")
+);
 
-// Configuration from environment variables
+// Configuration from environment variables. STORAGE_* settings fall back to
+// the original R2_* names.
 const CONFIG = {
-  R2_ENDPOINT: process.env.R2_ENDPOINT,
-  R2_ACCESS_KEY_ID: process.env.R2_ACCESS_KEY_ID,
-  R2_SECRET_ACCESS_KEY: process.env.R2_SECRET_ACCESS_KEY,
-  R2_BUCKET: process.env.R2_BUCKET,
-  R2_CDN_URL: process.env.R2_CDN_URL,
+  STORAGE_BACKEND: process.env.STORAGE_BACKEND || "r2",
+  STORAGE_ENDPOINT: process.env.STORAGE_ENDPOINT || process.env.R2_ENDPOINT,
+  STORAGE_REGION: process.env.STORAGE_REGION,
+  STORAGE_ACCESS_KEY_ID:
+    process.env.STORAGE_ACCESS_KEY_ID || process.env.R2_ACCESS_KEY_ID,
+  STORAGE_SECRET_ACCESS_KEY:
+    process.env.STORAGE_SECRET_ACCESS_KEY || process.env.R2_SECRET_ACCESS_KEY,
+  STORAGE_BUCKET: process.env.STORAGE_BUCKET || process.env.R2_BUCKET,
+  STORAGE_PUBLIC_URL: process.env.STORAGE_PUBLIC_URL || process.env.R2_CDN_URL,
+  STORAGE_LOCAL_DIR: process.env.STORAGE_LOCAL_DIR || "./output",
+  STORAGE_URL_MODE: process.env.STORAGE_URL_MODE || "public",
+  STORAGE_PRESIGN_EXPIRES_IN: parseInt(
+    process.env.STORAGE_PRESIGN_EXPIRES_IN || "3600",
+    10
+  ),
   MAPBOX_API_KEY: process.env.MAPBOX_API_KEY,
+  // How long recording waits for Mapbox maps to finish loading tiles
+  MAPBOX_READY_TIMEOUT_MS: parseInt(
+    process.env.MAPBOX_READY_TIMEOUT_MS || "15000",
+    10
+  ),
   CHROME_GL_MODE: process.env.CHROME_GL_MODE || "swiftshader",
+  // Directory local audio sources are resolved against
+  AUDIO_ASSETS_DIR: process.env.AUDIO_ASSETS_DIR || "./assets/audio",
+  JOB_CONCURRENCY: parseInt(process.env.JOB_CONCURRENCY || "1", 10),
+  BROWSER_POOL_MAX_CONCURRENCY: parseInt(
+    process.env.BROWSER_POOL_MAX_CONCURRENCY || "2",
+    10
+  ),
+  BROWSER_MAX_JOBS: parseInt(process.env.BROWSER_MAX_JOBS || "20", 10),
+  BROWSER_HEALTH_CHECK_MS: parseInt(
+    process.env.BROWSER_HEALTH_CHECK_MS || "30000",
+    10
+  ),
+  // Local cache for CDN libraries, fonts and tiles requested by rendered pages
+  ASSET_CACHE_DIR: process.env.ASSET_CACHE_DIR || "./cache/assets",
+  ASSET_CACHE_HOSTS: process.env.ASSET_CACHE_HOSTS
+    ? process.env.ASSET_CACHE_HOSTS.split(",").map((host) => host.trim())
+    : DEFAULT_CACHE_HOSTS,
+  ASSET_CACHE_MAX_BYTES: parseInt(
+    process.env.ASSET_CACHE_MAX_BYTES || String(500 * 1024 * 1024),
+    10
+  ),
+  ASSET_CACHE_MAX_ENTRY_BYTES: parseInt(
+    process.env.ASSET_CACHE_MAX_ENTRY_BYTES || String(50 * 1024 * 1024),
+    10
+  ),
+  // Serve only from the cache and fail renders that need anything else
+  ASSET_CACHE_OFFLINE: process.env.ASSET_CACHE_OFFLINE === "true",
+  // Hardened profile for untrusted HTML: web security on, an isolated origin
+  // and egress limited to RENDER_EGRESS_ALLOWLIST. RENDER_SANDBOX=false
+  // restores the original file:// setup.
+  RENDER_SANDBOX: process.env.RENDER_SANDBOX !== "false",
+  RENDER_EGRESS_ALLOWLIST: process.env.RENDER_EGRESS_ALLOWLIST
+    ? process.env.RENDER_EGRESS_ALLOWLIST.split(",").map((host) => host.trim())
+    : DEFAULT_CACHE_HOSTS,
+  // Reuse finished renders of identical input from the manifests kept in
+  // storage. Jobs can still ask for a fresh render with `force: true`.
+  RENDER_CACHE: process.env.RENDER_CACHE !== "false",
+  // Part of every render cache key; a new version renders everything again
+  WORKER_VERSION: process.env.WORKER_VERSION || packageJson.version,
+  // Templates stored by POST /templates or sent inline with a job
+  TEMPLATE_DIR: process.env.TEMPLATE_DIR || "./cache/templates",
+  // Where jobs keep frames and intermediate files while they run, in a
+  // directory per worker process
+  TEMP_DIR: process.env.TEMP_DIR || "/tmp",
+  // Deadlines. A job fails, and its browser and FFmpeg processes are
+  // killed, once it runs longer than JOB_TIMEOUT_MS (per batch record) or a
+  // phase runs longer than its own limit. Capture may take
+  // CAPTURE_TIMEOUT_MS_PER_FRAME for every expected frame on top of
+  // PHASE_TIMEOUT_MS; audio, encode, previews and upload get PHASE_TIMEOUT_MS.
+  JOB_TIMEOUT_MS: parseInt(process.env.JOB_TIMEOUT_MS || "3600000", 10),
+  PAGE_LOAD_TIMEOUT_MS: parseInt(
+    process.env.PAGE_LOAD_TIMEOUT_MS || "60000",
+    10
+  ),
+  CAPTURE_TIMEOUT_MS_PER_FRAME: parseInt(
+    process.env.CAPTURE_TIMEOUT_MS_PER_FRAME || "500",
+    10
+  ),
+  PHASE_TIMEOUT_MS: parseInt(process.env.PHASE_TIMEOUT_MS || "900000", 10),
+  // Resource limits of a single render (one video of one variant)
+  MAX_FRAMES: parseInt(process.env.MAX_FRAMES || "36000", 10),
+  MAX_FRAME_DISK_BYTES: parseInt(
+    process.env.MAX_FRAME_DISK_BYTES || String(10 * 1024 * 1024 * 1024),
+    10
+  ),
+  // Diagnostics bundle (page console and errors, failed requests, final
+  // screenshots, Playwright traces, browser flags and FFmpeg output) uploaded
+  // for "failed" jobs, for "always" every job, or "off". Failed batch
+  // records count as failures.
+  DIAGNOSTICS: process.env.DIAGNOSTICS || "failed",
+  // Trace every render page; traces only leave the worker in bundles
+  DIAGNOSTICS_TRACE: process.env.DIAGNOSTICS_TRACE !== "false",
+  // Bundles hold the job's input and data, so they are only uploaded where
+  // they are not public: to this bucket (same endpoint and credentials as
+  // STORAGE_BUCKET, never public itself) with presigned links, or to
+  // STORAGE_BUCKET when STORAGE_URL_MODE=presigned. With public storage and
+  // no DIAGNOSTICS_BUCKET, no bundles are collected. Object ACLs are not
+  // enough on their own, as R2 ignores them.
+  DIAGNOSTICS_BUCKET: process.env.DIAGNOSTICS_BUCKET,
+  // Pipe frames into FFmpeg while capturing. Jobs whose outputs need the
+  // frames as files still write them to disk first, as does every job with
+  // FRAME_STREAMING=false, or with previews but no full-size MP4, WebM or
+  // ProRes output to take them from.
+  FRAME_STREAMING: process.env.FRAME_STREAMING !== "false",
+  // debug keeps browser console output and raw FFmpeg logs
+  LOG_LEVEL: process.env.LOG_LEVEL || "info",
+  WEBHOOK_SECRET: process.env.WEBHOOK_SECRET,
+  WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "5", 10),
+  WEBHOOK_BACKOFF_MS: parseInt(process.env.WEBHOOK_BACKOFF_MS || "1000", 10),
+  WEBHOOK_TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS || "10000", 10),
 };
 
-// Initialize S3 client for R2
-const s3Client = new S3Client({
-  region: "auto",
-  endpoint: CONFIG.R2_ENDPOINT,
-  credentials: {
-    accessKeyId: CONFIG.R2_ACCESS_KEY_ID,
-    secretAccessKey: CONFIG.R2_SECRET_ACCESS_KEY,
-  },
+setLogLevel(CONFIG.LOG_LEVEL);
+if (!DIAGNOSTICS_MODES.includes(CONFIG.DIAGNOSTICS)) {
+  throw new Error(
+    `Unknown DIAGNOSTICS mode "${CONFIG.DIAGNOSTICS}", expected one of: ${DIAGNOSTICS_MODES.join(", ")}`
+  );
+}
+const log = createLogger("Worker");
+const browserLog = createLogger("Browser");
+
+const DEFAULT_FPS = CAPTURE_DEFAULTS.fps;
+
+// Deadline of each phase that has one; capture's depends on its frame count
+const PHASE_TIMEOUTS_MS = {
+  page_load: CONFIG.PAGE_LOAD_TIMEOUT_MS,
+  audio: CONFIG.PHASE_TIMEOUT_MS,
+  encode: CONFIG.PHASE_TIMEOUT_MS,
+  previews: CONFIG.PHASE_TIMEOUT_MS,
+  upload: CONFIG.PHASE_TIMEOUT_MS,
+};
+
+// Range of overall job progress (percent) covered by each pipeline phase
+const PHASE_PROGRESS = {
+  rendering: [0, 80],
+  encoding: [80, 95],
+  uploading: [95, 100],
+};
+
+// Initialize the storage backend for rendered output
+const storageOptions = {
+  backend: CONFIG.STORAGE_BACKEND,
+  endpoint: CONFIG.STORAGE_ENDPOINT,
+  region: CONFIG.STORAGE_REGION,
+  bucket: CONFIG.STORAGE_BUCKET,
+  accessKeyId: CONFIG.STORAGE_ACCESS_KEY_ID,
+  secretAccessKey: CONFIG.STORAGE_SECRET_ACCESS_KEY,
+  publicUrl: CONFIG.STORAGE_PUBLIC_URL,
+  localDir: CONFIG.STORAGE_LOCAL_DIR,
+  urlMode: CONFIG.STORAGE_URL_MODE,
+  presignExpiresIn: CONFIG.STORAGE_PRESIGN_EXPIRES_IN,
+};
+const storage = createStorage(storageOptions);
+
+// Diagnostics bundles go to private storage only (see DIAGNOSTICS_BUCKET);
+// null when there is none
+const diagnosticsStorage = CONFIG.DIAGNOSTICS_BUCKET
+  ? createStorage({
+      ...storageOptions,
+      bucket: CONFIG.DIAGNOSTICS_BUCKET,
+      urlMode: "presigned",
+    })
+  : storage.public
+    ? null
+    : storage;
+
+// Warm browsers shared across jobs, one per launch profile. The Mapbox and
+// non-Mapbox flag sets differ, so each gets its own browser.
+const browserPool = createBrowserPool({
+  launch: (profile) => launchBrowser(profile === "mapbox"),
+  maxConcurrency: CONFIG.BROWSER_POOL_MAX_CONCURRENCY,
+  maxJobsPerBrowser: CONFIG.BROWSER_MAX_JOBS,
+  healthCheckIntervalMs: CONFIG.BROWSER_HEALTH_CHECK_MS,
 });
 
-// Runpod handler function
-export default async function handler(job) {
-  const startTime = Date.now();
-  console.log(
-    `[Worker] Starting video rendering job:`,
-    JSON.stringify(job.input, null, 2)
-  );
+// Assets fetched by rendered pages, shared by all jobs
+const assetCache = createAssetCache({
+  dir: CONFIG.ASSET_CACHE_DIR,
+  hosts: CONFIG.ASSET_CACHE_HOSTS,
+  maxBytes: CONFIG.ASSET_CACHE_MAX_BYTES,
+  maxEntryBytes: CONFIG.ASSET_CACHE_MAX_ENTRY_BYTES,
+  offline: CONFIG.ASSET_CACHE_OFFLINE,
+});
 
-  const { jobId, animationCode, dimensions, usesMapbox, webhookUrl } =
-    job.input;
+const renderCache = createRenderCache({ storage });
 
-  if (!jobId || !animationCode || !dimensions || !webhookUrl) {
-    const error =
-      "Missing required parameters: jobId, animationCode, dimensions, webhookUrl";
-    console.error(`[Worker] ${error}`);
-    await notifyWebhook(webhookUrl, { status: "FAILED", error });
-    throw new Error(error);
+const templateStore = createTemplateStore({ dir: CONFIG.TEMPLATE_DIR });
+
+const UNKNOWN_TEMPLATE_ERROR = {
+  field: "template.id",
+  message: "does not match a stored template",
+};
+
+// This process's job directories, apart from other workers sharing TEMP_DIR.
+// Those older than the longest a job may run were left behind by a crashed
+// or killed job, unless a job still running here owns them. When the server
+// starts, before it takes any job, it removes the directories of stopped
+// workers on this host instead.
+const WORKER_DIR = path.join(CONFIG.TEMP_DIR, workerDirName());
+const JOB_DIR_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+const activeJobDirs = new Set();
+function sweepOrphanedJobDirs() {
+  return sweepJobDirs(WORKER_DIR, {
+    olderThanMs: CONFIG.JOB_TIMEOUT_MS,
+    active: activeJobDirs,
+  }).catch((error) => log.warn("Could not sweep job directories", { error }));
+}
+setInterval(sweepOrphanedJobDirs, JOB_DIR_SWEEP_INTERVAL_MS).unref();
+
+// Jobs running in this process by jobId, with their input as JSON
+const activeJobs = new Map();
+
+// Runpod handler function. `signal` cancels the render and `onProgress`
+// receives { state, progress, frameCount, webhookDeliveries } updates while
+// it runs. Log lines written during the job carry its jobId and phase. A
+// retry of a job that is still running with the same input waits for that
+// run's result instead of rendering it twice. The job fails with a
+// JobTimeoutError naming the phase when it runs past its deadline.
+export default function handler(job, options = {}) {
+  const jobId = job.input?.jobId;
+  const inputJson = JSON.stringify(job.input);
+  const active = activeJobs.get(jobId);
+  if (active?.inputJson === inputJson) {
+    log.info("Job is already running, waiting for its result", { jobId });
+    return active.promise;
+  }
+
+  const promise = runWithLogContext({ jobId }, async () => {
+    const endJobTimer = metrics.jobDuration.startTimer();
+    let status = "completed";
+    const records = Array.isArray(job.input?.batch)
+      ? job.input.batch.length
+      : 1;
+    try {
+      return await runWithDeadline(
+        { signal: options.signal, timeoutMs: CONFIG.JOB_TIMEOUT_MS * records },
+        (signal) => renderJob(job, { ...options, signal })
+      );
+    } catch (error) {
+      status =
+        error instanceof ValidationError
+          ? "invalid"
+          : error instanceof JobTimeoutError
+            ? "timeout"
+            : options.signal?.aborted
+              ? "cancelled"
+              : "failed";
+      throw error;
+    } finally {
+      metrics.jobsTotal.inc({ status });
+      endJobTimer({ status });
+    }
+  });
+  if (typeof jobId === "string") {
+    activeJobs.set(jobId, { inputJson, promise });
+    promise
+      .finally(() => {
+        if (activeJobs.get(jobId)?.promise === promise)
+          activeJobs.delete(jobId);
+      })
+      .catch(() => {});
+  }
+  return promise;
+}
+
+/**
+ * Renders a job into `workDir` without uploading anything or calling a
+ * webhook, for the local render CLI. `webhookUrl` is optional here, a job
+ * with variants renders only the one named `variant` (default: the first)
+ * and a batch job only its record number `record` (default: 0). With
+ * `keepFrames` the frames are written to disk even when they could be
+ * streamed. Resolves to { capture, encodedFiles: [{ output, outputPath }],
+ * previewFiles, pipeline }; `workDir` is left in place for the caller to
+ * inspect or remove.
+ */
+export async function renderLocally(
+  input,
+  {
+    workDir,
+    variant: variantName,
+    record = 0,
+    keepFrames = false,
+    signal,
+    onProgress,
+  } = {}
+) {
+  const { errors, value: normalized } = validateJobInput(input, {
+    requireWebhook: false,
+  });
+  const animationCode =
+    errors.length === 0 ? await resolveAnimationCode(input) : null;
+  if (errors.length === 0 && !animationCode) {
+    errors.push(UNKNOWN_TEMPLATE_ERROR);
+  }
+  if (errors.length > 0) throw new ValidationError(errors);
+  if (input.batch && !input.batch[record]) {
+    throw new Error(`Unknown batch record: ${record}`);
+  }
+
+  let variant = null;
+  if (normalized.variants) {
+    variant = variantName
+      ? normalized.variants.find(({ name }) => name === variantName)
+      : normalized.variants[0];
+    if (!variant) throw new Error(`Unknown variant: ${variantName}`);
   }
 
+  return runWithLogContext({ jobId: input.jobId }, async () => {
+    setPhase("setup");
+    await fs.mkdir(workDir, { recursive: true });
+    return renderFiles(
+      {
+        ...input,
+        animationCode,
+        ...(variant && { dimensions: variant.dimensions }),
+        ...(input.batch && { data: input.batch[record] }),
+      },
+      normalized,
+      workDir,
+      {
+        signal,
+        variant,
+        keepFrames,
+        reportProgress: createProgressReporter(onProgress),
+      }
+    );
+  });
+}
+
+/**
+ * Closes the shared browsers so a one-off process can exit.
+ */
+export function shutdown() {
+  return browserPool.close();
+}
+
+async function renderJob(job, { signal, onProgress } = {}) {
+  const startTime = Date.now();
+  setPhase("setup");
+  log.info("Starting video rendering job");
+  log.debug("Job input", { input: job.input });
+
+  // Validate everything before any browser starts. The webhook can only be
+  // told about the failure when its own URL passed validation.
+  const { errors, value: normalized } = validateJobInput(job.input);
+  let animationCode = null;
+  if (errors.length === 0) {
+    animationCode = await resolveAnimationCode(job.input);
+    if (!animationCode) errors.push(UNKNOWN_TEMPLATE_ERROR);
+  }
+  if (errors.length > 0) {
+    const error = new ValidationError(errors);
+    log.error("Invalid job input", { errors });
+    if (
+      !errors.some(({ field }) => field === "webhookUrl" || field === "input")
+    ) {
+      const webhook = createJobWebhook(job.input.webhookUrl);
+      await webhook
+        .notify({ status: "FAILED", error: error.message, errors })
+        .catch(() => {});
+    }
+    throw error;
+  }
+
+  const { jobId, webhookUrl, webhookEvents = [], batch } = job.input;
+  const { templateId } = animationCode;
+  const input = { ...job.input, animationCode };
+
+  const webhook = createJobWebhook(webhookUrl, webhookEvents);
+  onProgress?.({ webhookDeliveries: webhook.deliveries });
+
+  // 1. Create temp directory for rendering
+  const tempDir = path.join(
+    WORKER_DIR,
+    `${JOB_DIR_PREFIX}${jobId}-${Date.now()}`
+  );
+  activeJobDirs.add(tempDir);
+  const diagnostics =
+    CONFIG.DIAGNOSTICS === "off" || !diagnosticsStorage
+      ? null
+      : createDiagnostics(path.join(tempDir, "diagnostics"), {
+          trace: CONFIG.DIAGNOSTICS_TRACE,
+          secrets: [
+            CONFIG.MAPBOX_API_KEY,
+            CONFIG.WEBHOOK_SECRET,
+            CONFIG.STORAGE_SECRET_ACCESS_KEY,
+          ],
+        });
   try {
-    // 1. Create temp directory for rendering
-    const tempDir = `/tmp/job-${jobId}-${Date.now()}`;
     await fs.mkdir(tempDir, { recursive: true });
-    console.log(`[Worker] Created temp directory: ${tempDir}`);
-
-    // 2. Create HTML page with animation code
-    const htmlPath = path.join(tempDir, "animation.html");
-    const htmlContent = createAnimationPage(animationCode);
-    await fs.writeFile(htmlPath, htmlContent, "utf8");
-    console.log(`[Worker] Created HTML file: ${htmlPath}`);
-
-    // 3. Initialize browser and render video to disk
-    const mp4Path = path.join(tempDir, "recording.mp4");
-    const minDuration = Math.max(
-      estimateDuration(animationCode.htmlContent),
-      15
-    );
-    console.log(`[Worker] Video duration: ${minDuration}`);
-    await recordAnimationWithScreencast(
-      htmlPath,
-      mp4Path,
-      dimensions,
-      minDuration,
-      usesMapbox
-    );
-    console.log(`[Worker] Video recorded: ${mp4Path}`);
+    log.info("Created temp directory", { tempDir });
+
+    // 2-7. Render and upload the video, or one video per batch record
+    let result;
+    if (batch) {
+      result = await runWithDiagnostics(diagnostics, () =>
+        renderBatch(input, normalized, tempDir, {
+          signal,
+          onProgress,
+          webhook,
+        })
+      );
+    } else {
+      const record = await runWithDiagnostics(diagnostics, () =>
+        renderRecord(input, normalized, tempDir, {
+          signal,
+          onProgress,
+          webhook,
+        })
+      );
+      result = {
+        status: "COMPLETED",
+        output: {
+          ...describeRecord(record, normalized),
+          ...(templateId && { templateId }),
+        },
+      };
+    }
 
-    // 4. Upload video file directly to R2
-    const videoUrl = await uploadVideoFileToR2(mp4Path, jobId);
-    console.log(`[Worker] Video uploaded: ${videoUrl}`);
+    if (
+      diagnostics &&
+      (CONFIG.DIAGNOSTICS === "always" || result.output.failed > 0)
+    ) {
+      const bundle = await saveDiagnostics(diagnostics, job.input, result);
+      Object.assign(result.output, describeDiagnostics(bundle));
+    }
 
-    // 5. Clean up temp files
+    // 8. Clean up temp files
     await fs.rm(tempDir, { recursive: true, force: true });
-    console.log(`[Worker] Cleaned up temp directory`);
+    log.info("Cleaned up temp directory");
+
+    // 9. Notify DBOS workflow via webhook
+    await runPhase("webhook", () => webhook.notify(result));
 
-    // 6. Notify DBOS workflow via webhook
+    log.info("Job completed successfully", {
+      totalMs: Date.now() - startTime,
+    });
+    return result;
+  } catch (caught) {
+    // A deadline aborts the job; its reason says which one
+    const error =
+      signal?.reason instanceof JobTimeoutError ? signal.reason : caught;
+    const cancelled = signal?.aborted && !(error instanceof JobTimeoutError);
+    if (cancelled) {
+      log.info("Job was cancelled");
+    } else {
+      log.error("Video rendering failed", { error });
+    }
+
+    // Notify DBOS workflow of failure via webhook
     const result = {
-      status: "COMPLETED",
-      output: { videoUrl },
+      status: "FAILED",
+      error: cancelled
+        ? "Job cancelled"
+        : error.message || "Unknown error during video rendering",
+      ...(error instanceof JobTimeoutError && {
+        phase: error.phase,
+        timeoutMs: error.timeoutMs,
+      }),
+      ...(error instanceof ResourceLimitError && { limit: error.limit }),
+      ...(error.blockedRequests && { blockedRequests: error.blockedRequests }),
+      ...(error.records && { templateId, records: error.records }),
     };
 
-    await notifyWebhook(webhookUrl, result);
+    // Cancelled jobs have nothing to debug
+    if (diagnostics && !cancelled) {
+      const bundle = await saveDiagnostics(diagnostics, job.input, result, {
+        error,
+      });
+      Object.assign(result, describeDiagnostics(bundle));
+    }
+
+    // Clean up on error
+    try {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    } catch (cleanupError) {
+      log.warn("Cleanup failed", { error: cleanupError });
+    }
+
+    try {
+      setPhase("webhook");
+      await webhook.notify(result);
+    } catch (webhookError) {
+      log.error("Failed to notify webhook", { error: webhookError });
+    }
+
+    throw error;
+  } finally {
+    activeJobDirs.delete(tempDir);
+  }
+}
 
-    const totalTime = Date.now() - startTime;
-    console.log(
-      `[Worker] Job ${jobId} completed successfully in ${totalTime}ms`
+// Renders every variant of one video into `dir` and uploads the files, each
+// variant in its own folder, unless an identical video was rendered before.
+// Progress covers `range` of the job. Resolves to { renders, cache } with one
+// { variant, capture, encodedFiles, previewFiles, pipeline, uploaded } per
+// variant and cache = { key, hit, renderedAt }.
+async function renderRecord(
+  input,
+  normalized,
+  dir,
+  { signal, onProgress, webhook, range: [low, high] = [0, 100], details }
+) {
+  const reportProgress = createProgressReporter(onProgress, webhook, {
+    range: [low, high],
+    details,
+  });
+
+  // Files live under the content address, so a retried or repeated render
+  // replaces its own objects instead of adding new ones
+  const cacheKey = renderCacheKey(input, normalized, {
+    workerVersion: CONFIG.WORKER_VERSION,
+  });
+  const prefix = `videos/${input.jobId}/${cacheKey.slice(0, 16)}`;
+  if (CONFIG.RENDER_CACHE && !input.force) {
+    const cached = await runPhase("cache", () => renderCache.lookup(cacheKey));
+    metrics.renderCacheLookups.inc({ outcome: cached ? "hit" : "miss" });
+    if (cached) {
+      log.info("Reusing cached render", {
+        cacheKey,
+        renderedAt: cached.renderedAt,
+        renderedForJobId: cached.jobId,
+      });
+      reportProgress("uploading", 1);
+      return {
+        renders: cached.renders,
+        cache: { key: cacheKey, hit: true, renderedAt: cached.renderedAt },
+      };
+    }
+  }
+
+  // 2-6. Capture, mix, encode and generate previews for every variant,
+  // one after another on the same warm browser
+  const variants = normalized.variants ?? [
+    {
+      name: null,
+      dimensions: input.dimensions,
+      deviceScaleFactor: DEFAULT_DEVICE_SCALE_FACTOR,
+    },
+  ];
+  const scale = (high - low) / 100;
+  const renders = [];
+  for (const [index, variant] of variants.entries()) {
+    signal?.throwIfAborted();
+    const variantDir = variant.name ? path.join(dir, variant.name) : dir;
+    await fs.mkdir(variantDir, { recursive: true });
+    const rendered = await renderFiles(
+      { ...input, dimensions: variant.dimensions },
+      normalized,
+      variantDir,
+      {
+        signal,
+        variant,
+        // Variants share the progress before uploading equally; the
+        // range is scaled so each one's last phase ends its share
+        reportProgress: createProgressReporter(onProgress, webhook, {
+          range: [
+            low +
+              (scale * PHASE_PROGRESS.uploading[0] * index) / variants.length,
+            low +
+              (scale * (PHASE_PROGRESS.uploading[0] * index + 100)) /
+                variants.length,
+          ],
+          details: {
+            ...details,
+            ...(variant.name && { variant: variant.name }),
+          },
+        }),
+      }
     );
-    return result;
-  } catch (error) {
-    console.error(`[Worker] Video rendering failed for job ${jobId}:`, error);
+    renders.push({ variant, ...rendered, uploaded: {} });
+  }
 
-    // Clean up on error
+  // 7. Upload outputs and previews to storage, side by side
+  const uploads = renders.flatMap((render) =>
+    [
+      ...render.encodedFiles.map(({ output, outputPath }) => ({
+        name: `${output.name}.${output.extension}`,
+        path: outputPath,
+        contentType: output.contentType,
+      })),
+      ...(render.previewFiles ? listPreviewFiles(render.previewFiles) : []),
+    ].map((file) => ({ ...file, render }))
+  );
+  const endUploadPhase = metrics.phaseDuration.startTimer({
+    phase: "upload",
+  });
+  setPhase("upload");
+  for (const [index, file] of uploads.entries()) {
+    signal?.throwIfAborted();
+    reportProgress("uploading", index / uploads.length);
+    const { name } = file.render.variant;
+    file.render.uploaded[file.name] = await uploadOutputFile(
+      file.path,
+      `${prefix}/${name ? `${name}/` : ""}${file.name}`,
+      file.contentType,
+      {
+        onProgress: (fraction) =>
+          reportProgress("uploading", (index + fraction) / uploads.length),
+      }
+    );
+  }
+  endUploadPhase();
+
+  const renderedAt = new Date().toISOString();
+  if (CONFIG.RENDER_CACHE) {
+    await runPhase("cache", () =>
+      renderCache.save(cacheKey, renders, { jobId: input.jobId, renderedAt })
+    );
+  }
+  return { renders, cache: { key: cacheKey, hit: false, renderedAt } };
+}
+
+// Renders one video per `batch` record from the same template, each with
+// the record as its data. A failed record is reported in the results
+// without stopping the others; the job fails only when every record does.
+// Resolves to the COMPLETED result.
+async function renderBatch(
+  input,
+  normalized,
+  tempDir,
+  { signal, onProgress, webhook }
+) {
+  const { batch } = input;
+  const records = [];
+  for (const [index, data] of batch.entries()) {
+    signal?.throwIfAborted();
+    setLogContext({ record: index });
+    const recordDir = path.join(tempDir, "records", String(index));
     try {
-      await fs.rm(`/tmp/job-${jobId}-${Date.now()}`, {
-        recursive: true,
-        force: true,
+      const record = await renderRecord(
+        { ...input, data },
+        normalized,
+        recordDir,
+        {
+          signal,
+          onProgress,
+          webhook,
+          range: [
+            (100 * index) / batch.length,
+            (100 * (index + 1)) / batch.length,
+          ],
+          details: { record: index },
+        }
+      );
+      records.push({
+        index,
+        status: "COMPLETED",
+        ...describeRecord(record, normalized),
       });
-    } catch (cleanupError) {
-      console.warn(`[Worker] Cleanup warning:`, cleanupError);
+      metrics.batchRecordsTotal.inc({ status: "completed" });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      log.error("Batch record failed", { error });
+      metrics.batchRecordsTotal.inc({ status: "failed" });
+      records.push({
+        index,
+        status: "FAILED",
+        error: error.message || "Unknown error during video rendering",
+        ...(error.blockedRequests && {
+          blockedRequests: error.blockedRequests,
+        }),
+      });
+    } finally {
+      await fs.rm(recordDir, { recursive: true, force: true });
     }
+  }
+  setLogContext({ record: undefined });
 
-    // Notify DBOS workflow of failure via webhook
-    const result = {
-      status: "FAILED",
-      error: error.message || "Unknown error during video rendering",
+  const failed = records.filter(({ status }) => status === "FAILED").length;
+  log.info("Batch finished", { records: records.length, failed });
+  if (failed === records.length) {
+    const error = new Error(`All ${failed} batch records failed`);
+    error.records = records;
+    throw error;
+  }
+  return {
+    status: "COMPLETED",
+    output: {
+      templateId: input.animationCode.templateId,
+      completed: records.length - failed,
+      failed,
+      records,
+    },
+  };
+}
+
+// The page to render: the job's own HTML, or the stored template it names
+// (storing a template sent inline first). Resolves to { htmlContent,
+// templateId }, or null when the template id is unknown.
+async function resolveAnimationCode({ animationCode, template }) {
+  if (!template) return { htmlContent: animationCode.htmlContent };
+  if (template.htmlContent) {
+    return {
+      htmlContent: template.htmlContent,
+      templateId: await templateStore.save(template.htmlContent),
+    };
+  }
+  const htmlContent = await templateStore.load(template.id);
+  return htmlContent === null ? null : { htmlContent, templateId: template.id };
+}
+
+// Output section of the COMPLETED payload for one video. `videoUrl` stays
+// the first output's URL for callers that only know about a single video;
+// with variants, the top-level fields describe the first variant, except
+// for asset cache usage and blocked requests which add up every variant's,
+// and `variants` lists every one.
+function describeRecord({ renders, cache }, normalized) {
+  const described = renders.map(describeRender);
+  const [primary] = described;
+  const captures = renders.map(({ capture }) => capture);
+  return {
+    ...primary,
+    assetCache: sumStats(captures.map(({ assetCache }) => assetCache)),
+    ...(primary.blockedRequests && {
+      blockedRequests: mergeBlockedRequests(
+        captures.map(({ blockedRequests }) => blockedRequests)
+      ),
+    }),
+    ...(normalized.variants && {
+      variants: described.map((render, index) => {
+        const { name, dimensions, deviceScaleFactor } = renders[index].variant;
+        return { name, ...dimensions, deviceScaleFactor, ...render };
+      }),
+    }),
+    cache,
+  };
+}
+
+// Zips the job's diagnostics with a summary of how it ended and uploads the
+// bundle. Never fails the job: resolves to the uploaded { key, url,
+// expiresAt }, or null when saving it did not work.
+async function saveDiagnostics(diagnostics, input, result, { error } = {}) {
+  // The webhook URL may carry credentials
+  const { webhookUrl, ...jobInput } = input;
+  try {
+    return await runPhase("diagnostics", async () => {
+      const bundlePath = await diagnostics.write({
+        jobId: input.jobId,
+        status: result.status,
+        workerVersion: CONFIG.WORKER_VERSION,
+        createdAt: new Date().toISOString(),
+        ...(error && {
+          error: {
+            name: error.name,
+            message: error.message,
+            stack: error.stack,
+          },
+        }),
+        result,
+        input: jobInput,
+      });
+      return await uploadOutputFile(
+        bundlePath,
+        `diagnostics/${input.jobId}/${Date.now()}.zip`,
+        "application/zip",
+        { storage: diagnosticsStorage }
+      );
+    });
+  } catch (saveError) {
+    log.warn("Could not save diagnostics bundle", { error: saveError });
+    return null;
+  }
+}
+
+// Diagnostics link of a webhook payload
+function describeDiagnostics(bundle) {
+  if (!bundle) return {};
+  return {
+    diagnosticsUrl: bundle.url,
+    ...(bundle.expiresAt && { diagnosticsUrlExpiresAt: bundle.expiresAt }),
+  };
+}
+
+function createJobWebhook(webhookUrl, events = []) {
+  return createWebhookNotifier(webhookUrl, {
+    secret: CONFIG.WEBHOOK_SECRET,
+    events,
+    maxAttempts: CONFIG.WEBHOOK_MAX_ATTEMPTS,
+    backoffMs: CONFIG.WEBHOOK_BACKOFF_MS,
+    timeoutMs: CONFIG.WEBHOOK_TIMEOUT_MS,
+    onDelivery: ({ event, error, durationMs }) => {
+      metrics.webhookDeliveries.inc({
+        event,
+        outcome: error ? "failure" : "success",
+      });
+      metrics.webhookDeliveryDuration.observe({ event }, durationMs / 1000);
+    },
+  });
+}
+
+// Steps shared by queued jobs and the local render CLI: writes the page,
+// captures it and mixes, encodes and previews into `tempDir`. Returns
+// { capture, encodedFiles: [{ output, outputPath }], previewFiles, pipeline }
+// where `pipeline` reports the frame transport used, its timings and the
+// peak disk space taken by frames and outputs.
+async function renderFiles(
+  input,
+  { outputs, audio, previews },
+  tempDir,
+  { signal, variant = null, reportProgress, keepFrames = false }
+) {
+  const {
+    animationCode,
+    dimensions,
+    usesMapbox = false,
+    captureMode = "screencast",
+    fps = DEFAULT_FPS,
+    duration: durationOverride,
+    loopCycles = 1,
+    segments: segmentsRequested = 1,
+    data,
+  } = input;
+
+  // 2. Create HTML page with animation code
+  const htmlPath = path.join(tempDir, "animation.html");
+  const htmlContent = createAnimationPage(animationCode);
+  await fs.writeFile(htmlPath, htmlContent, "utf8");
+  log.info("Created HTML file", { htmlPath });
+
+  // Outputs are encoded without sound first when a track gets muxed in later
+  const targets = outputs.map((output) => {
+    const outputPath = path.join(tempDir, `${output.name}.${output.extension}`);
+    return {
+      output,
+      outputPath,
+      silentPath: audio
+        ? path.join(tempDir, `${output.name}.silent.${output.extension}`)
+        : outputPath,
     };
+  });
 
+  // 3. Initialize browser and capture frames, either straight into FFmpeg or
+  // to disk for encoding afterwards. A segmented render captures parts of
+  // the timeline in separate pages at the same time.
+  const captureFormat = getCaptureFormat(outputs);
+  const captureOptions = {
+    usesMapbox,
+    captureMode,
+    fps,
+    htmlContent: animationCode.htmlContent,
+    durationOverride,
+    loopCycles,
+    variant,
+    data,
+    budget: createResourceBudget({
+      maxFrames: CONFIG.MAX_FRAMES,
+      maxDiskBytes: CONFIG.MAX_FRAME_DISK_BYTES,
+    }),
+    ...captureFormat,
+    signal,
+    onProgress: reportProgress,
+  };
+  const segmented = segmentsRequested !== 1;
+  // Streamed previews are cut from an encoded video, which needs one that
+  // matches the captured frames
+  const previewOutput = previews ? findPreviewOutput(outputs) : null;
+  const streaming = shouldStreamFrames(outputs, {
+    allowed:
+      CONFIG.FRAME_STREAMING &&
+      !keepFrames &&
+      (!previews || previewOutput !== null),
+    segmented,
+  });
+
+  const captureStartedAt = Date.now();
+  let capture;
+  let frameSink;
+  let segments = null;
+  if (segmented) {
+    ({ capture, frameSink, segments } = await captureSegments(
+      htmlPath,
+      dimensions,
+      tempDir,
+      targets,
+      { ...captureOptions, segments: segmentsRequested, streaming }
+    ));
+  } else {
+    frameSink = await createFrameSink(
+      path.join(tempDir, "frames"),
+      streaming
+        ? targets.map(({ output, silentPath }) => ({
+            output,
+            outputPath: silentPath,
+          }))
+        : null,
+      captureOptions
+    );
     try {
-      await notifyWebhook(webhookUrl, result);
-    } catch (webhookError) {
-      console.error(`[Worker] Failed to notify webhook:`, webhookError);
+      capture = await captureAnimation(
+        htmlPath,
+        frameSink,
+        dimensions,
+        captureOptions
+      );
+    } catch (error) {
+      await frameSink.abort();
+      throw error;
     }
+  }
+  const captureMs = Date.now() - captureStartedAt;
+
+  // 4. Mix the audio track, trimmed to the captured video length
+  let audioTrackPath = null;
+  if (audio) {
+    signal?.throwIfAborted();
+    audioTrackPath = await runPhase("audio", async () => {
+      const audioDir = path.join(tempDir, "audio");
+      const sourcePaths = await prepareAudioSources(audio, audioDir, {
+        assetsDir: CONFIG.AUDIO_ASSETS_DIR,
+      });
+      const mixPath = path.join(audioDir, "mix.wav");
+      await mixAudioTrack(
+        audio,
+        sourcePaths,
+        capture.frameCount / capture.fps,
+        mixPath,
+        { signal }
+      );
+      return mixPath;
+    });
+  }
 
-    throw error;
+  // 5. Encode every requested output: wait for the streaming encoder, or
+  // encode the frames on disk one output at a time
+  const endEncodePhase = metrics.phaseDuration.startTimer({
+    phase: "encode",
+  });
+  setPhase("encode");
+  const encodeStartedAt = Date.now();
+  let timeSavedMs = 0;
+  if (frameSink.mode === "stream") {
+    reportProgress("encoding", 0, { frameCount: capture.frameCount });
+    ({ timeSavedMs } = await frameSink.finish({
+      onProgress: (fraction) => reportProgress("encoding", fraction),
+    }));
+  } else {
+    for (const [index, { output, silentPath }] of targets.entries()) {
+      signal?.throwIfAborted();
+      reportProgress("encoding", index / outputs.length, {
+        frameCount: capture.frameCount,
+      });
+      await metrics.timed(
+        metrics.encodeDuration,
+        { format: output.format },
+        () =>
+          stitchFramesToVideo(capture, silentPath, output, {
+            signal,
+            onProgress: (fraction) =>
+              reportProgress("encoding", (index + fraction) / outputs.length),
+          })
+      );
+    }
+  }
+  const encodeMs = Date.now() - encodeStartedAt;
+
+  // Frames (on disk only) and encoded files all exist before cleanup
+  let outputBytes = 0;
+  for (const { silentPath } of targets) {
+    outputBytes += (await fs.stat(silentPath)).size;
   }
+  const encodedFiles = [];
+  for (const { output, outputPath, silentPath } of targets) {
+    signal?.throwIfAborted();
+    if (audioTrackPath && output.audioCodec) {
+      await muxAudio(silentPath, audioTrackPath, outputPath, output, {
+        signal,
+      });
+    } else if (silentPath !== outputPath) {
+      await fs.rename(silentPath, outputPath);
+    }
+    encodedFiles.push({ output, outputPath });
+  }
+  endEncodePhase();
+
+  const pipeline = {
+    mode: frameSink.mode,
+    ...(segments && { segments }),
+    captureMs,
+    encodeMs,
+    timeSavedMs,
+    peakDiskBytes: frameSink.bytesOnDisk + outputBytes,
+  };
+  log.info("Frame pipeline finished", pipeline);
+
+  // 6. Poster, thumbnails and scrubbing sprite from the same frames, or
+  // from the full-size video when they were streamed
+  const previewFiles = previews
+    ? await runPhase("previews", () =>
+        generatePreviews(
+          capture,
+          previews,
+          dimensions,
+          path.join(tempDir, "previews"),
+          {
+            signal,
+            videoPath: encodedFiles.find(
+              ({ output }) => output === previewOutput
+            )?.outputPath,
+          }
+        )
+      )
+    : null;
+
+  return { capture, encodedFiles, previewFiles, pipeline };
 }
 
-// Browser rendering functions
-async function recordAnimationWithScreencast(
+// Streams frames into FFmpeg for `streamTargets` ([{ output, outputPath }])
+// or, when that is null, writes them as files in `dir`. Frames count
+// against the render's resource `budget`.
+async function createFrameSink(
+  dir,
+  streamTargets,
+  { fps = DEFAULT_FPS, frameFormat, signal, budget }
+) {
+  await fs.mkdir(dir, { recursive: true });
+  return limitFrameSink(
+    streamTargets
+      ? createStreamingEncoder(streamTargets, { fps, frameFormat, signal })
+      : createDiskFrameSink(dir, frameFormat),
+    budget
+  );
+}
+
+// Renders the timeline in segments, each in its own page, and puts the
+// results back together: streamed segments are encoded per segment and
+// joined without re-encoding once the returned frameSink is finished, disk
+// segments are merged into one frame sequence. The first page's measured
+// duration decides the split. Resolves to { capture, frameSink, segments }.
+async function captureSegments(
   htmlPath,
-  outputPath,
   dimensions,
-  duration,
-  usesMapbox = false
+  tempDir,
+  targets,
+  options
 ) {
-  console.log(
-    `[Worker] Starting browser recording for ${duration}s at ${dimensions.width}x${dimensions.height}`
+  const {
+    segments: requested,
+    streaming,
+    captureMode,
+    fps,
+    onProgress,
+  } = options;
+
+  // One failed segment stops the others
+  const controller = new AbortController();
+  const signal = options.signal
+    ? AbortSignal.any([options.signal, controller.signal])
+    : controller.signal;
+  const pageOptions = { ...options, signal };
+
+  const firstPage = await openAnimationPage(htmlPath, dimensions, pageOptions);
+  const duration = firstPage.durationInfo.seconds;
+  const count = resolveSegmentCount(requested, {
+    duration,
+    fps,
+    maxParallel: CONFIG.BROWSER_POOL_MAX_CONCURRENCY,
+  });
+  const plans = Array.from({ length: count }, (_, index) =>
+    planSegment(duration, fps, index, count)
+  );
+  log.info("Rendering in segments", { segments: count, duration, requested });
+
+  // Overall progress is the average over segments
+  const fractions = new Array(count).fill(0);
+  const frameCounts = new Array(count).fill(0);
+  const segmentProgress = (index) => (state, fraction, details) => {
+    fractions[index] = fraction;
+    frameCounts[index] = details?.frameCount ?? frameCounts[index];
+    onProgress(state, fractions.reduce((sum, value) => sum + value) / count, {
+      frameCount: frameCounts.reduce((sum, value) => sum + value),
+    });
+  };
+
+  const segmentDirs = plans.map(({ index }) =>
+    path.join(tempDir, "segments", index.toString().padStart(3, "0"))
+  );
+  const segmentTargets = segmentDirs.map((dir) =>
+    targets.map(({ output }) => ({
+      output,
+      outputPath: path.join(dir, `${output.name}.${output.extension}`),
+    }))
   );
+  const sinks = [];
+  let failure = null;
+
+  const renderSegment = async (segment, page) => {
+    try {
+      page ??= await openAnimationPage(htmlPath, dimensions, pageOptions);
+      if (page.durationInfo.seconds !== duration) {
+        throw new Error(
+          `Segment ${segment.index} measured a duration of ${page.durationInfo.seconds}s, expected ${duration}s`
+        );
+      }
+      sinks[segment.index] = await createFrameSink(
+        segmentDirs[segment.index],
+        streaming ? segmentTargets[segment.index] : null,
+        pageOptions
+      );
+      return await page.capture(sinks[segment.index], {
+        ...options,
+        segment,
+        onProgress: segmentProgress(segment.index),
+      });
+    } catch (error) {
+      failure ??= error;
+      controller.abort();
+      throw error;
+    } finally {
+      await page?.close();
+    }
+  };
+
+  // Other pages wait for pool slots; the first already holds one. Each
+  // segment has its own phase deadlines and log phase, so one opening its
+  // page does not replace the capture deadline of another; the job itself
+  // waits without a phase deadline of its own.
+  setPhase("capture");
+  const results = await Promise.allSettled(
+    plans.map((segment) =>
+      runWithLogContext({ segment: segment.index }, () =>
+        runInPhaseScope(() =>
+          renderSegment(segment, segment.index === 0 ? firstPage : undefined)
+        )
+      )
+    )
+  );
+  if (failure) {
+    await Promise.all(sinks.map((sink) => sink?.abort()));
+    throw failure;
+  }
+  const captures = results.map(({ value }) => value);
+  const maxBoundaryGapSeconds = checkSegmentBoundaries(plans, captures, {
+    fps,
+    exact: captureMode === "timeline",
+  });
+
+  const frameCount = captures.reduce(
+    (sum, { frameCount }) => sum + frameCount,
+    0
+  );
+  const recordedSeconds = captures.reduce(
+    (sum, capture) => sum + capture.frameCount / capture.fps,
+    0
+  );
+  const [first] = captures;
+  const capture = {
+    ...first,
+    frameCount,
+    // Disk screencasts run at whatever rate each page managed
+    fps:
+      streaming || captureMode === "timeline"
+        ? fps
+        : Math.max(Math.round(frameCount / recordedSeconds), 1),
+    assetCache: sumStats(captures.map(({ assetCache }) => assetCache)),
+    ...(first.blockedRequests && {
+      blockedRequests: mergeBlockedRequests(
+        captures.map(({ blockedRequests }) => blockedRequests)
+      ),
+    }),
+  };
+  delete capture.timeline;
+
+  let frameSink;
+  if (streaming) {
+    let segmentBytes = 0;
+    frameSink = {
+      mode: "stream",
+      framesDir: null,
+      get bytesOnDisk() {
+        return segmentBytes;
+      },
+      async finish({ onProgress: onEncodeProgress = () => {} } = {}) {
+        const encodeFractions = new Array(count).fill(0);
+        const finished = await Promise.all(
+          sinks.map((sink, index) =>
+            sink.finish({
+              onProgress: (fraction) => {
+                encodeFractions[index] = fraction;
+                onEncodeProgress(
+                  encodeFractions.reduce((sum, value) => sum + value) / count
+                );
+              },
+            })
+          )
+        );
+        for (const [i, { output, silentPath }] of targets.entries()) {
+          const segmentPaths = segmentTargets.map(
+            (files) => files[i].outputPath
+          );
+          for (const segmentPath of segmentPaths) {
+            segmentBytes += (await fs.stat(segmentPath)).size;
+          }
+          await concatSegments(segmentPaths, silentPath, output, {
+            signal: options.signal,
+          });
+        }
+        return {
+          timeSavedMs: Math.max(
+            ...finished.map(({ timeSavedMs }) => timeSavedMs)
+          ),
+        };
+      },
+      abort: () => Promise.all(sinks.map((sink) => sink.abort())),
+    };
+  } else {
+    const framesDir = path.join(tempDir, "frames");
+    await mergeFrameDirs(segmentDirs, framesDir);
+    capture.framesDir = framesDir;
+    frameSink = {
+      mode: "disk",
+      framesDir,
+      bytesOnDisk: sinks.reduce((sum, sink) => sum + sink.bytesOnDisk, 0),
+      abort: async () => {},
+    };
+  }
+
+  return {
+    capture,
+    frameSink,
+    segments: { count, maxBoundaryGapSeconds },
+  };
+}
+
+// Adds up the numeric asset cache counters of several pages
+function sumStats(statsList) {
+  const total = { ...statsList[0] };
+  for (const stats of statsList.slice(1)) {
+    for (const [key, value] of Object.entries(stats)) {
+      if (typeof value === "number") total[key] += value;
+    }
+  }
+  return total;
+}
+
+function mergeBlockedRequests(list) {
+  return {
+    count: list.reduce((sum, { count }) => sum + count, 0),
+    requests: list.flatMap(({ requests }) => requests).slice(0, 100),
+  };
+}
+
+// Maps a phase-local fraction onto overall job progress and reports it to
+// `onProgress` and, when given, the job's webhook. A `range` squeezes the
+// whole 0-100 scale into part of the job, e.g. one variant of several;
+// `details` are added to every update.
+function createProgressReporter(
+  onProgress,
+  webhook = null,
+  { range: [low, high] = [0, 100], details: extraDetails = {} } = {}
+) {
+  return (state, fraction = 0, details = {}) => {
+    const [from, to] = PHASE_PROGRESS[state];
+    const phaseProgress =
+      from + (to - from) * Math.min(Math.max(fraction, 0), 1);
+    const progress = Math.round(low + ((high - low) * phaseProgress) / 100);
+    onProgress?.({ state, progress, ...extraDetails, ...details });
+    webhook?.notifyProgress(state.toUpperCase(), {
+      progress,
+      ...extraDetails,
+      ...details,
+    });
+  };
+}
 
-  // 1. Launch browser with appropriate flags
+// Runs one pipeline phase: tags its log lines, starts its deadline and
+// records its duration
+function runPhase(phase, fn, timeoutMs) {
+  setPhase(phase, timeoutMs);
+  return metrics.timed(metrics.phaseDuration, { phase }, fn);
+}
+
+// Moves the job into `phase` for its log lines and deadline
+function setPhase(phase, timeoutMs = PHASE_TIMEOUTS_MS[phase]) {
+  setLogContext({ phase });
+  enterPhase(phase, timeoutMs);
+}
+
+// Browser rendering functions
+// Captures the whole animation into `frameSink` (see lib/encoding.js) and
+// returns { framesDir, frameFormat, frameCount, fps, duration, assetCache,
+// mapbox, blockedRequests } for the encoders; framesDir is null when
+// streaming. The recording length comes from the loaded page unless
+// `durationOverride` is set.
+async function captureAnimation(htmlPath, frameSink, dimensions, options = {}) {
+  const animation = await openAnimationPage(htmlPath, dimensions, options);
+  try {
+    return await animation.capture(frameSink, options);
+  } finally {
+    await animation.close();
+  }
+}
+
+// Loads the animation in a fresh context from the browser pool, waits for
+// GSAP and map tiles and measures its duration. Resolves to { durationInfo,
+// mapbox, capture(frameSink, options), close() }; the page keeps its pool
+// slot until close() is called. `capture` takes the captureMode, fps,
+// frameFormat and onProgress options plus an optional `segment` from
+// lib/segments.js to record only that part of the timeline.
+async function openAnimationPage(htmlPath, dimensions, options = {}) {
+  const {
+    usesMapbox = false,
+    captureMode = "screencast",
+    fps = DEFAULT_FPS,
+    htmlContent = "",
+    durationOverride,
+    loopCycles = 1,
+    variant = null,
+    data,
+    transparent = false,
+    signal,
+  } = options;
+  const deviceScaleFactor =
+    variant?.deviceScaleFactor ?? DEFAULT_DEVICE_SCALE_FACTOR;
+
+  const endPageLoad = metrics.phaseDuration.startTimer({ phase: "page_load" });
+  log.info("Starting browser recording", {
+    ...dimensions,
+    captureMode,
+    ...(variant?.name && { variant: variant.name }),
+  });
+
+  // 1. Get a fresh context from a warm browser with the right flags. Time
+  // spent waiting for a free slot does not count against page_load.
+  const profile = usesMapbox ? "mapbox" : "default";
+  getDiagnostics()?.recordLaunch(profile, browserLaunchArgs(usesMapbox));
+  const lease = await browserPool.acquire(
+    profile,
+    renderContextOptions(dimensions, deviceScaleFactor),
+    { signal }
+  );
+  setPhase("page_load");
+
+  // Closing the context makes any pending page call reject, which unwinds
+  // the capture loop below. A browser that let a deadline pass may be hung,
+  // so it is killed instead, once it has had a chance to hand over its
+  // diagnostics.
+  let pageDiagnostics = null;
+  const closeOnAbort = async () => {
+    if (signal.reason instanceof JobTimeoutError) {
+      await pageDiagnostics?.finish();
+      await lease.kill();
+    } else {
+      await lease.context.close().catch(() => {});
+    }
+  };
+  signal?.addEventListener("abort", closeOnAbort, { once: true });
+  const close = async () => {
+    signal?.removeEventListener("abort", closeOnAbort);
+    await pageDiagnostics?.finish();
+    await lease.release();
+  };
+
+  let sandbox = null;
+  const withBlockedRequests = (error) => {
+    if (sandbox) error.blockedRequests = sandbox.blockedRequests();
+    return error;
+  };
+
+  let page;
+  let assets;
+  let stopRecordingPromise;
+  let mapbox;
+  let durationInfo;
+  try {
+    // 2. Create the page
+    page = await createRenderPage(lease.context);
+    assets = await assetCache.attach(page);
+    await installMapboxHooks(page, { accessToken: CONFIG.MAPBOX_API_KEY });
+    await installVariantGlobal(page, {
+      name: variant?.name ?? null,
+      ...dimensions,
+      deviceScaleFactor,
+    });
+    if (data !== undefined) await installTemplateData(page, data);
+    if (CONFIG.RENDER_SANDBOX) {
+      sandbox = await applySandbox(page, await fs.readFile(htmlPath, "utf8"), {
+        allowedHosts: CONFIG.RENDER_EGRESS_ALLOWLIST,
+      });
+    }
+
+    if (transparent) {
+      // Render without the default white backdrop so alpha survives
+      const cdp = await page.context().newCDPSession(page);
+      await cdp.send("Emulation.setDefaultBackgroundColorOverride", {
+        color: { r: 0, g: 0, b: 0, a: 0 },
+      });
+    }
+
+    // Set up completion detection
+    let stopRecordingPromiseResolver;
+    stopRecordingPromise = new Promise((resolve) => {
+      stopRecordingPromiseResolver = resolve;
+    });
+
+    await page.exposeFunction("onComplete", async () => {
+      log.info("Animation completion signal received");
+      stopRecordingPromiseResolver();
+    });
+
+    // Watched only from here: the trace would record the init scripts
+    // above, and the Mapbox token with them
+    pageDiagnostics = await getDiagnostics()?.attachPage(page, { profile });
+
+    // 3. Load the animation and wait for GSAP
+    await page.goto(
+      CONFIG.RENDER_SANDBOX ? SANDBOX_PAGE_URL : `file://${htmlPath}`
+    );
+
+    await page
+      .waitForFunction(() => typeof globalThis.gsap !== "undefined", {
+        timeout: 10000,
+      })
+      .catch((error) => {
+        // A blocked offline request is the more useful explanation
+        assets.assertComplete();
+        throw error;
+      });
+
+    // Hold off until map tiles are in so the video doesn't open on blank tiles
+    mapbox = await waitForMapsReady(page, {
+      timeoutMs: CONFIG.MAPBOX_READY_TIMEOUT_MS,
+    });
+
+    durationInfo = await detectAnimationDuration(page, htmlContent, {
+      override: durationOverride,
+      loopCycles,
+      maxDuration: LIMITS.MAX_DURATION,
+    });
+    log.info("Video duration detected", durationInfo);
+    const expectedFrames = Math.ceil(durationInfo.seconds * fps);
+    if (expectedFrames > CONFIG.MAX_FRAMES) {
+      throw new ResourceLimitError(
+        "frames",
+        `${durationInfo.seconds}s at ${fps} fps needs ${expectedFrames} frames, more than the limit of ${CONFIG.MAX_FRAMES}`
+      );
+    }
+    endPageLoad();
+  } catch (error) {
+    await close();
+    throw withBlockedRequests(error);
+  }
+
+  // 4. Capture frames
+  const capture = async (
+    frameSink,
+    {
+      captureMode = "screencast",
+      fps = DEFAULT_FPS,
+      frameFormat = "jpeg",
+      segment = null,
+      onProgress = () => {},
+    } = {}
+  ) => {
+    try {
+      const duration = durationInfo.seconds;
+      const captureOptions = { frameFormat, segment, signal, onProgress };
+      const frames = segment
+        ? segment.endFrame - segment.firstFrame
+        : Math.ceil(duration * fps);
+      const capture = await runPhase(
+        "capture",
+        () =>
+          captureMode === "timeline"
+            ? captureTimelineFrames(
+                page,
+                frameSink,
+                duration,
+                fps,
+                captureOptions
+              )
+            : captureScreencastFrames(
+                page,
+                frameSink,
+                dimensions,
+                duration,
+                // Only the end of the animation may cut the recording short
+                !segment || segment.index === segment.count - 1
+                  ? stopRecordingPromise
+                  : new Promise(() => {}),
+                captureOptions
+              ),
+        CONFIG.PHASE_TIMEOUT_MS + frames * CONFIG.CAPTURE_TIMEOUT_MS_PER_FRAME
+      );
+      signal?.throwIfAborted();
+
+      log.info("Captured frames", {
+        frameCount: capture.frameCount,
+        fps: capture.fps,
+        ...(segment && { segment: segment.index }),
+      });
+      metrics.framesCaptured.inc(
+        { capture_mode: captureMode },
+        capture.frameCount
+      );
+      metrics.effectiveFps.observe({ capture_mode: captureMode }, capture.fps);
+
+      if (capture.frameCount === 0) {
+        throw new Error("No frames were captured during recording");
+      }
+      assets.assertComplete();
+
+      const assetStats = assets.stats();
+      log.info("Asset cache usage", assetStats);
+
+      return {
+        framesDir: frameSink.framesDir,
+        frameFormat,
+        ...capture,
+        duration: durationInfo,
+        assetCache: assetStats,
+        mapbox,
+        ...(sandbox && { blockedRequests: sandbox.blockedRequests() }),
+      };
+    } catch (error) {
+      throw withBlockedRequests(error);
+    }
+  };
+
+  return { durationInfo, mapbox, capture, close };
+}
+
+async function launchBrowser(usesMapbox = false) {
+  // A browser server, unlike chromium.launch, can be killed along with its
+  // whole process tree when a job hangs
+  const server = await chromium.launchServer({
+    headless: true,
+    args: browserLaunchArgs(usesMapbox),
+  });
+  try {
+    const browser = await chromium.connect(server.wsEndpoint());
+    // Closing a connected browser only disconnects from it
+    browser.on("disconnected", () => server.close().catch(() => {}));
+    return { browser, kill: () => server.kill() };
+  } catch (error) {
+    await server.kill();
+    throw error;
+  }
+}
+
+// Chromium flags of the Mapbox and default launch profiles
+function browserLaunchArgs(usesMapbox) {
   const baseArgs = [
     "--disable-setuid-sandbox",
     "--disable-extensions",
@@ -158,13 +1636,15 @@ async function recordAnimationWithScreencast(
     "--disable-lcd-text",
     "--enable-accelerated-2d-canvas",
     "--enable-zero-copy",
-    "--disable-web-security",
-    "--allow-running-insecure-content",
     "--autoplay-policy=no-user-gesture-required",
     "--disable-background-media-suspend",
     "--disable-backgrounding-occluded-windows",
   ];
 
+  if (!CONFIG.RENDER_SANDBOX) {
+    baseArgs.push("--disable-web-security", "--allow-running-insecure-content");
+  }
+
   if (usesMapbox) {
     baseArgs.push(
       "--headless=new",
@@ -186,318 +1666,379 @@ async function recordAnimationWithScreencast(
     );
   }
 
-  const browser = await chromium.launch({
-    headless: true,
-    args: baseArgs,
-  });
-
-  try {
-    // 2. Create context and page
-    const context = await browser.newContext({
-      viewport: dimensions,
-      deviceScaleFactor: 2,
-      ignoreHTTPSErrors: true,
-      bypassCSP: true,
-      permissions: ["camera", "microphone"],
-      reducedMotion: "no-preference",
-      colorScheme: "no-preference",
-      forcedColors: "none",
-    });
-
-    const page = await context.newPage();
-
-    // Add essential scripts and error handling
-    page.on("console", (msg) => {
-      const type = msg.type();
-      const text = msg.text();
-      console.log(`[Browser Console ${type}]:`, text);
-    });
-
-    page.on("pageerror", (error) => {
-      console.error(`[Page Error]:`, error.message);
-    });
-
-    await page.addInitScript(() => {
-      // Optimize for high-quality rendering
-      Object.defineProperty(globalThis, "scrollBehavior", {
-        value: "auto",
-        writable: false,
-      });
-
-      globalThis.document.addEventListener("DOMContentLoaded", () => {
-        const style = globalThis.document.createElement("style");
-        style.textContent = `
-          * {
-            -webkit-backface-visibility: hidden;
-            backface-visibility: hidden;
-            image-rendering: auto;
-            text-rendering: optimizeLegibility;
-            animation-fill-mode: both;
-          }
-          body {
-            will-change: transform, opacity;
-            margin: 0;
-            padding: 0;
-            overflow: hidden;
-            -webkit-font-smoothing: antialiased;
-            -moz-osx-font-smoothing: grayscale;
-            image-rendering: optimizeQuality;
-            text-rendering: optimizeLegibility;
-          }
-          .mapboxgl-canvas {
-            image-rendering: auto !important;
-            image-rendering: optimizeQuality !important;
-          }
-        `;
-        globalThis.document.head.appendChild(style);
-      });
-    });
-
-    // 3. Set up CDP screencast for frame capture
-    const screenshotsDir = path.join(path.dirname(outputPath), "frames");
-    await fs.mkdir(screenshotsDir, { recursive: true });
-
-    const cdp = await page.context().newCDPSession(page);
-    let frameCount = 0;
-    let recordingFinished = false;
-
-    // Set up completion detection
-    let stopRecordingPromiseResolver;
-    const stopRecordingPromise = new Promise((resolve) => {
-      stopRecordingPromiseResolver = resolve;
-    });
+  return baseArgs;
+}
 
-    await page.exposeFunction("onComplete", async () => {
-      console.log(`[Worker] Animation completion signal received`);
-      stopRecordingPromiseResolver();
-    });
+function renderContextOptions(dimensions, deviceScaleFactor) {
+  const options = {
+    viewport: dimensions,
+    deviceScaleFactor,
+    reducedMotion: "no-preference",
+    colorScheme: "no-preference",
+    forcedColors: "none",
+  };
+
+  if (CONFIG.RENDER_SANDBOX) {
+    // Service workers would see requests before the sandbox routes do
+    return { ...options, serviceWorkers: "block", acceptDownloads: false };
+  }
+  return {
+    ...options,
+    ignoreHTTPSErrors: true,
+    bypassCSP: true,
+    permissions: ["camera", "microphone"],
+  };
+}
 
-    cdp.on("Page.screencastFrame", async ({ data, sessionId }) => {
-      if (recordingFinished) return;
+async function createRenderPage(context) {
+  const page = await context.newPage();
 
-      try {
-        const paddedFrameNumber = frameCount.toString().padStart(6, "0");
-        const screenshotPath = path.join(
-          screenshotsDir,
-          `frame_${paddedFrameNumber}.jpg`
-        );
-        await fs.writeFile(screenshotPath, Buffer.from(data, "base64"));
-        frameCount++;
-        await cdp.send("Page.screencastFrameAck", { sessionId });
-      } catch (error) {
-        console.error(`[Worker] Error saving frame ${frameCount}:`, error);
-        await cdp
-          .send("Page.screencastFrameAck", { sessionId })
-          .catch(() => {});
-      }
-    });
+  // Add essential scripts and error handling
+  // Page console output is only kept at LOG_LEVEL=debug
+  page.on("console", (msg) => {
+    browserLog.debug(msg.text(), { type: msg.type() });
+  });
 
-    // 4. Start recording and wait for completion
-    await page.goto(`file://${htmlPath}`);
+  page.on("pageerror", (error) => {
+    browserLog.warn("Page error", { error: error.message });
+  });
 
-    // Wait for GSAP to load
-    await page.waitForFunction(() => typeof globalThis.gsap !== "undefined", {
-      timeout: 10000,
+  await page.addInitScript(() => {
+    // Optimize for high-quality rendering
+    Object.defineProperty(globalThis, "scrollBehavior", {
+      value: "auto",
+      writable: false,
     });
 
-    await cdp.send("Page.startScreencast", {
-      format: "jpeg",
-      quality: 80,
-      everyNthFrame: 1,
-      maxWidth: dimensions.width,
-      maxHeight: dimensions.height,
+    globalThis.document.addEventListener("DOMContentLoaded", () => {
+      const style = globalThis.document.createElement("style");
+      style.textContent = `
+        * {
+          -webkit-backface-visibility: hidden;
+          backface-visibility: hidden;
+          image-rendering: auto;
+          text-rendering: optimizeLegibility;
+          animation-fill-mode: both;
+        }
+        body {
+          will-change: transform, opacity;
+          margin: 0;
+          padding: 0;
+          overflow: hidden;
+          -webkit-font-smoothing: antialiased;
+          -moz-osx-font-smoothing: grayscale;
+          image-rendering: optimizeQuality;
+          text-rendering: optimizeLegibility;
+        }
+        .mapboxgl-canvas {
+          image-rendering: auto !important;
+          image-rendering: optimizeQuality !important;
+        }
+      `;
+      globalThis.document.head.appendChild(style);
     });
+  });
 
-    console.log(`[Worker] Started screencast recording`);
-
-    // Wait for animation completion or timeout
-    const maxDurationMs = duration * 2000;
-    await Promise.race([
-      stopRecordingPromise,
-      new Promise((resolve) => setTimeout(resolve, maxDurationMs)),
-    ]);
-
-    recordingFinished = true;
-    await cdp.send("Page.stopScreencast").catch(() => {});
-    await cdp.detach().catch(() => {});
-
-    console.log(`[Worker] Captured ${frameCount} frames`);
-
-    await browser.close();
-
-    // 5. Stitch frames to video using FFmpeg
-    if (frameCount > 0) {
-      const actualDuration = Math.min(duration, maxDurationMs / 1000);
-      const fps = Math.max(frameCount / actualDuration, 1);
-      await stitchFramesToVideo(screenshotsDir, outputPath, Math.round(fps));
-    } else {
-      throw new Error("No frames were captured during recording");
-    }
-
-    // 6. Clean up frame files
-    await fs.rm(screenshotsDir, { recursive: true, force: true });
-  } catch (error) {
-    await browser.close().catch(() => {});
-    throw error;
-  }
+  return page;
 }
 
-async function stitchFramesToVideo(screenshotsDir, outputPath, frameRate) {
-  return new Promise((resolve, reject) => {
-    console.log(
-      `[Worker] Stitching frames to video at ${frameRate}fps: ${screenshotsDir} -> ${outputPath}`
+// Real-time capture: records whatever frames CDP delivers and derives the
+// output frame rate from how many arrived in the time actually recorded.
+// A `segment` seeks GSAP to its start first and records only its length.
+// `timeline` in the result is the span of the GSAP timeline recorded.
+async function captureScreencastFrames(
+  page,
+  frameSink,
+  dimensions,
+  duration,
+  stopRecordingPromise,
+  { frameFormat, segment, signal, onProgress }
+) {
+  const recordSeconds = segment ? segment.end - segment.start : duration;
+  const timelineOrigin = await page.evaluate(findTimelineOrigin);
+  if (segment) {
+    await page.evaluate((time) => {
+      globalThis.gsap.globalTimeline.pause();
+      globalThis.gsap.globalTimeline.seek(time, false);
+    }, timelineOrigin + segment.start);
+  }
+  const timelinePosition = () =>
+    page.evaluate(
+      (origin) => globalThis.gsap.globalTimeline.time() - origin,
+      timelineOrigin
     );
 
-    const ffmpeg = spawn("ffmpeg", [
-      "-framerate",
-      frameRate.toString(),
-      "-i",
-      path.join(screenshotsDir, "frame_%06d.jpg"),
-      "-c:v",
-      "libx264",
-      "-preset",
-      "fast",
-      "-crf",
-      "23",
-      "-pix_fmt",
-      "yuv420p",
-      "-movflags",
-      "+faststart",
-      "-y",
-      outputPath,
-    ]);
+  const cdp = await page.context().newCDPSession(page);
+  let recordingFinished = false;
+  let recordingStartedAt;
+  // Going over a resource limit ends the recording and fails the capture
+  let limitError = null;
+  let stopOnLimit;
+  const limitReached = new Promise((resolve) => {
+    stopOnLimit = resolve;
+  });
 
-    let stderrOutput = "";
-    ffmpeg.stderr.on("data", (data) => {
-      const output = data.toString();
-      stderrOutput += output;
-      console.log(`[FFmpeg] ${output}`);
-    });
+  // The ack is only sent once the sink has taken the frame, so Chrome holds
+  // back new frames while the encoder catches up
+  cdp.on("Page.screencastFrame", async ({ data, metadata, sessionId }) => {
+    if (recordingFinished) return;
 
-    ffmpeg.on("close", (code) => {
-      if (code === 0) {
-        console.log(`[Worker] Successfully stitched video at ${frameRate}fps`);
-        resolve();
+    try {
+      await frameSink.write(Buffer.from(data, "base64"), metadata.timestamp);
+      onProgress(
+        "rendering",
+        (Date.now() - recordingStartedAt) / (recordSeconds * 1000),
+        { frameCount: frameSink.frameCount }
+      );
+      await cdp.send("Page.screencastFrameAck", { sessionId });
+    } catch (error) {
+      if (error instanceof ResourceLimitError) {
+        limitError ??= error;
+        recordingFinished = true;
+        stopOnLimit();
       } else {
-        reject(
-          new Error(`FFmpeg failed with code ${code}. Output: ${stderrOutput}`)
-        );
+        log.error("Error saving frame", {
+          frame: frameSink.frameCount,
+          error,
+        });
       }
-    });
-
-    ffmpeg.on("error", (error) => {
-      reject(new Error(`FFmpeg error: ${error.message}`));
-    });
+      await cdp.send("Page.screencastFrameAck", { sessionId }).catch(() => {});
+    }
   });
-}
 
-function createAnimationPage(animationCode) {
-  let htmlContent = animationCode.htmlContent;
+  await cdp.send("Page.startScreencast", {
+    format: frameFormat,
+    quality: 80,
+    everyNthFrame: 1,
+    maxWidth: dimensions.width,
+    maxHeight: dimensions.height,
+  });
 
-  // Replace Mapbox API key with environment variable
-  if (htmlContent.includes("mapboxgl.accessToken")) {
-    htmlContent = htmlContent.replace(
-      /mapboxgl\.accessToken\s*=\s*[^;]+;?/g,
-      `mapboxgl.accessToken = '${CONFIG.MAPBOX_API_KEY}';`
-    );
-  } else if (CONFIG.MAPBOX_API_KEY) {
-    // Add API key if not present
-    htmlContent = htmlContent.replace(
-      "<body>",
-      `<body><script>mapboxgl.accessToken = '${CONFIG.MAPBOX_API_KEY}';</script>`
-    );
+  if (segment) {
+    await page.evaluate(() => globalThis.gsap.globalTimeline.resume());
   }
+  recordingStartedAt = Date.now();
+  const timelineStart = await timelinePosition();
+  log.info("Started screencast recording", {
+    ...(segment && { segment: segment.index, timelineStart }),
+  });
 
-  return htmlContent.trim();
+  // Wait for animation completion, the end of the duration or cancellation
+  let timeoutId;
+  await Promise.race([
+    stopRecordingPromise,
+    limitReached,
+    new Promise((resolve) => {
+      timeoutId = setTimeout(resolve, recordSeconds * 1000);
+    }),
+    new Promise((resolve) =>
+      signal?.addEventListener("abort", resolve, { once: true })
+    ),
+  ]);
+  clearTimeout(timeoutId);
+
+  recordingFinished = true;
+  const recordedSeconds = (Date.now() - recordingStartedAt) / 1000;
+  const timelineEnd = await timelinePosition().catch(() => null);
+  await cdp.send("Page.stopScreencast").catch(() => {});
+  await cdp.detach().catch(() => {});
+  if (limitError) throw limitError;
+  // Screencast timestamps are seconds since the epoch
+  await frameSink.flush(Date.now() / 1000);
+
+  const { frameCount } = frameSink;
+  const fps = frameSink.fps ?? Math.max(frameCount / recordedSeconds, 1);
+  return {
+    frameCount,
+    fps: Math.round(fps),
+    timeline: { start: timelineStart, end: timelineEnd },
+  };
 }
 
-async function uploadVideoFileToR2(filePath, jobId) {
-  const fileName = `videos/${jobId}/${Date.now()}.mp4`;
-  const fileContent = await fs.readFile(filePath);
-
-  console.log(`[Worker] Uploading video to R2: ${fileName}`);
+// Deterministic capture: pauses the GSAP global timeline and seeks it to each
+// frame's timestamp, so output timing does not depend on machine speed.
+// CSS animations and requestAnimationFrame loops not driven by GSAP are not
+// stepped. A `segment` steps only its own range of frames.
+async function captureTimelineFrames(
+  page,
+  frameSink,
+  duration,
+  fps,
+  { frameFormat, segment, signal, onProgress }
+) {
+  const timelineOrigin = await page.evaluate(findTimelineOrigin);
+  await page.evaluate(() => {
+    globalThis.gsap.ticker.lagSmoothing(0);
+    globalThis.gsap.globalTimeline.pause();
+  });
 
-  const command = new PutObjectCommand({
-    Bucket: CONFIG.R2_BUCKET,
-    Key: fileName,
-    Body: fileContent,
-    ContentType: "video/mp4",
-    CacheControl: "max-age=31536000",
-    ACL: "public-read",
-    Metadata: {
-      "Content-Disposition": "inline",
-    },
+  const totalFrames = Math.max(Math.round(duration * fps), 1);
+  const { firstFrame, endFrame } = segment ?? {
+    firstFrame: 0,
+    endFrame: totalFrames,
+  };
+  log.info("Stepping GSAP timeline", {
+    totalFrames,
+    fps,
+    ...(segment && { segment: segment.index, firstFrame, endFrame }),
   });
 
-  await s3Client.send(command);
-  const videoUrl = `${CONFIG.R2_CDN_URL}/${fileName}`;
+  for (let frame = firstFrame; frame < endFrame; frame++) {
+    signal?.throwIfAborted();
+    await page.evaluate(
+      async (time) => {
+        globalThis.gsap.globalTimeline.seek(time, false);
+        // Let the browser paint the new state before taking the screenshot
+        await new Promise((resolve) =>
+          requestAnimationFrame(() => requestAnimationFrame(resolve))
+        );
+      },
+      timelineOrigin + frame / fps
+    );
+
+    await frameSink.write(
+      await page.screenshot({
+        type: frameFormat,
+        ...(frameFormat === "jpeg" && { quality: 80 }),
+        scale: "css",
+      })
+    );
+    onProgress(
+      "rendering",
+      (frame + 1 - firstFrame) / (endFrame - firstFrame),
+      {
+        frameCount: frameSink.frameCount,
+      }
+    );
+  }
+
+  await frameSink.flush();
 
-  console.log(`[Worker] Video uploaded successfully: ${videoUrl}`);
-  return videoUrl;
+  return {
+    frameCount: frameSink.frameCount,
+    fps,
+    timeline: { start: firstFrame / fps, end: endFrame / fps },
+  };
 }
 
-async function notifyWebhook(webhookUrl, result) {
-  console.log(`[Worker] Notifying webhook: ${webhookUrl}`);
+// Runs in the page. Tweens are placed on the global timeline at the moment
+// they are created, so time is measured from the earliest creation rather
+// than from GSAP's load. Leading delays stay part of the recording.
+function findTimelineOrigin() {
+  const startTimes = globalThis.gsap.globalTimeline
+    .getChildren(false, true, true)
+    .map((child) => child.startTime() - child.delay());
+  return startTimes.length > 0 ? Math.min(...startTimes) : 0;
+}
 
-  try {
-    const response = await axios.post(webhookUrl, result, {
-      headers: { "Content-Type": "application/json" },
-      timeout: 10000, // 10 second timeout
-    });
+// The Mapbox token is applied by an init script (see lib/mapbox.js), so the
+// caller's HTML is used as is
+function createAnimationPage(animationCode) {
+  return animationCode.htmlContent.trim();
+}
 
-    console.log(`[Worker] Webhook notification successful: ${response.status}`);
-  } catch (error) {
-    console.error(`[Worker] Webhook notification failed:`, error.message);
-    throw error;
-  }
+// URLs and details of one rendered variant for the COMPLETED payload
+function describeRender({
+  encodedFiles,
+  previewFiles,
+  capture,
+  pipeline,
+  uploaded,
+}) {
+  const outputs = encodedFiles.map(({ output }) => {
+    const { url, expiresAt } = uploaded[`${output.name}.${output.extension}`];
+    return {
+      name: output.name,
+      format: output.format,
+      url,
+      ...(expiresAt && { expiresAt }),
+    };
+  });
+  const [primaryOutput] = outputs;
+  return {
+    videoUrl: primaryOutput.url,
+    ...(primaryOutput.expiresAt && {
+      videoUrlExpiresAt: primaryOutput.expiresAt,
+    }),
+    outputs,
+    duration: capture.duration,
+    pipeline,
+    ...(previewFiles && { previews: describePreviews(previewFiles, uploaded) }),
+    assetCache: capture.assetCache,
+    ...(capture.mapbox && { mapbox: capture.mapbox }),
+    ...(capture.blockedRequests && {
+      blockedRequests: capture.blockedRequests,
+    }),
+  };
 }
 
-function estimateDuration(gsapCode) {
-  // Try to extract duration from GSAP timeline
-  const durationMatch = gsapCode.match(/duration[:\s]*(\d+(?:\.\d+)?)/i);
-  if (durationMatch) {
-    return parseFloat(durationMatch[1]);
-  }
+function listPreviewFiles({ poster, thumbnails, sprite }) {
+  return [poster, ...thumbnails, ...(sprite ? [sprite.image, sprite.vtt] : [])];
+}
 
-  // Look for timeline with explicit duration
-  const timelineMatch = gsapCode.match(
-    /timeline\.to\([^,]+,\s*\{[^}]*duration[:\s]*(\d+(?:\.\d+)?)/i
-  );
-  if (timelineMatch) {
-    return parseFloat(timelineMatch[1]);
-  }
+// Preview section of the COMPLETED payload, with uploaded URLs
+function describePreviews({ poster, thumbnails, sprite }, uploaded) {
+  return {
+    posterUrl: uploaded[poster.name].url,
+    thumbnails: thumbnails.map(({ name, width, height }) => ({
+      width,
+      height,
+      url: uploaded[name].url,
+    })),
+    ...(sprite && {
+      sprite: {
+        url: uploaded[sprite.image.name].url,
+        vttUrl: uploaded[sprite.vtt.name].url,
+        interval: sprite.interval,
+        columns: sprite.columns,
+        rows: sprite.rows,
+        tileWidth: sprite.tileWidth,
+        tileHeight: sprite.tileHeight,
+      },
+    }),
+  };
+}
 
-  // Look for repeat duration
-  const repeatMatch = gsapCode.match(
-    /repeat[:\s]*-1[^}]*duration[:\s]*(\d+(?:\.\d+)?)/i
+async function uploadOutputFile(
+  filePath,
+  fileName,
+  contentType,
+  { onProgress, storage: target = storage } = {}
+) {
+  const { size } = await fs.stat(filePath);
+  const uploaded = await metrics.timed(
+    metrics.uploadDuration,
+    { backend: target.backend },
+    () => target.upload(filePath, fileName, { contentType, onProgress })
   );
-  if (repeatMatch) {
-    return parseFloat(repeatMatch[1]);
-  }
+  metrics.uploadBytes.inc({ backend: target.backend }, size);
 
-  // Default estimation based on code complexity
-  const codeLength = gsapCode.length;
-  if (codeLength < 1000) return 5;
-  if (codeLength < 2000) return 8;
-  if (codeLength < 3000) return 12;
-  return 15;
+  log.info("Output uploaded successfully", { url: uploaded.url, bytes: size });
+  return uploaded;
 }
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(express.json());
+// Leave room for the largest allowed HTML and data plus JSON escaping
+app.use(
+  express.json({ limit: (LIMITS.MAX_HTML_BYTES + LIMITS.MAX_DATA_BYTES) * 2 })
+);
 
 app.post("/", async (req, res) => {
   try {
-    console.log(
-      "[Worker] Received request:",
-      JSON.stringify(req.body, null, 2)
-    );
+    log.info("Received request", { jobId: req.body?.jobId });
     const result = await handler({ input: req.body });
     res.json(result);
   } catch (error) {
-    console.error("[Worker] Error processing request:", error);
+    log.error("Error processing request", { error });
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        status: "FAILED",
+        error: error.message,
+        errors: error.errors,
+      });
+    }
     res.status(500).json({
       status: "FAILED",
       error: error.message || "Unknown error during processing",
@@ -505,6 +2046,132 @@ app.post("/", async (req, res) => {
   }
 });
 
-app.listen(PORT, "0.0.0.0", () => {
-  console.log(`[Worker] Server listening on port ${PORT}`);
+const jobQueue = createJobQueue(
+  (input, context) => handler({ input }, context),
+  {
+    concurrency: CONFIG.JOB_CONCURRENCY,
+  }
+);
+
+// Asynchronous job API: submit, poll and cancel renders
+app.post("/jobs", async (req, res) => {
+  const { errors } = validateJobInput(req.body);
+  const templateId = req.body?.template?.id;
+  if (
+    errors.length === 0 &&
+    templateId &&
+    !(await templateStore.has(templateId))
+  ) {
+    errors.push(UNKNOWN_TEMPLATE_ERROR);
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid job input", errors });
+  }
+
+  const job = jobQueue.submit(req.body);
+  res.status(202).location(`/jobs/${job.id}`).json(serializeJob(job));
+});
+
+app.get("/jobs/:id", (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.json(serializeJob(job));
 });
+
+app.delete("/jobs/:id", (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  if (isFinished(job)) {
+    return res
+      .status(409)
+      .json({ error: `Job already ${job.state}`, ...serializeJob(job) });
+  }
+
+  jobQueue.cancel(job.id);
+  res.status(202).json(serializeJob(job));
+});
+
+// Template storage: jobs refer to a stored template by the returned id
+app.post("/templates", async (req, res) => {
+  const htmlContent = req.body?.htmlContent;
+  if (typeof htmlContent !== "string" || htmlContent.length === 0) {
+    return res.status(400).json({
+      error: "Invalid template",
+      errors: [{ field: "htmlContent", message: "is required" }],
+    });
+  }
+  const htmlBytes = Buffer.byteLength(htmlContent, "utf8");
+  if (htmlBytes > LIMITS.MAX_HTML_BYTES) {
+    return res.status(400).json({
+      error: "Invalid template",
+      errors: [
+        {
+          field: "htmlContent",
+          message: `must be at most ${LIMITS.MAX_HTML_BYTES} bytes (got ${htmlBytes})`,
+        },
+      ],
+    });
+  }
+
+  try {
+    const templateId = await templateStore.save(htmlContent);
+    res
+      .status(201)
+      .location(`/templates/${templateId}`)
+      .json({ templateId, bytes: htmlBytes });
+  } catch (error) {
+    log.error("Failed to store template", { error });
+    res.status(500).json({ error: "Failed to store template" });
+  }
+});
+
+app.get("/templates/:id", async (req, res) => {
+  const htmlContent = await templateStore.load(req.params.id).catch(() => null);
+  if (htmlContent === null) {
+    return res.status(404).json({ error: "Template not found" });
+  }
+  // Served as text, never rendered: the template's scripts must not run on
+  // this origin
+  res
+    .type("text/plain")
+    .set({
+      "X-Content-Type-Options": "nosniff",
+      "Content-Security-Policy": "default-src 'none'; sandbox",
+    })
+    .send(htmlContent);
+});
+
+// Prometheus metrics
+app.get("/metrics", async (req, res) => {
+  res.set("Content-Type", metrics.registry.contentType);
+  res.send(await metrics.registry.metrics());
+});
+
+// Warm browser pool status
+app.get("/pool", (req, res) => {
+  res.json(browserPool.stats());
+});
+
+// Asset cache size and mode
+app.get("/asset-cache", (req, res) => {
+  res.json(assetCache.stats());
+});
+
+// Only serve when run directly; the render CLI imports this module
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  if (CONFIG.DIAGNOSTICS !== "off" && !diagnosticsStorage) {
+    log.warn(
+      "Storage is public and DIAGNOSTICS_BUCKET is not set, so no diagnostics bundles are saved"
+    );
+  }
+  await sweepWorkerDirs(CONFIG.TEMP_DIR).catch((error) =>
+    log.warn("Could not sweep worker directories", { error })
+  );
+  app.listen(PORT, "0.0.0.0", () => {
+    log.info("Server listening", { port: PORT });
+  });
+}
@@ -0,0 +1,360 @@
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("Cache");
+
+// Libraries pinned to an exact version are the same file on every CDN, so
+// they share one entry in the versioned library cache and are never evicted.
+// Each pattern captures the version and the file path inside the package.
+export const PINNED_LIBRARIES = [
+  {
+    name: "gsap",
+    patterns: [
+      /^https:\/\/cdnjs\.cloudflare\.com\/ajax\/libs\/gsap\/(\d+\.\d+\.\d+)\/(.+)$/,
+      /^https:\/\/cdn\.jsdelivr\.net\/npm\/gsap@(\d+\.\d+\.\d+)\/dist\/(.+)$/,
+      /^https:\/\/unpkg\.com\/gsap@(\d+\.\d+\.\d+)\/dist\/(.+)$/,
+    ],
+  },
+  {
+    name: "mapbox-gl",
+    patterns: [
+      /^https:\/\/api\.mapbox\.com\/mapbox-gl-js\/v(\d+\.\d+\.\d+)\/(.+)$/,
+      /^https:\/\/cdn\.jsdelivr\.net\/npm\/mapbox-gl@(\d+\.\d+\.\d+)\/dist\/(.+)$/,
+      /^https:\/\/unpkg\.com\/mapbox-gl@(\d+\.\d+\.\d+)\/dist\/(.+)$/,
+    ],
+  },
+];
+
+// Hosts whose responses may be cached on disk. Anything else goes straight
+// to the network, or is blocked in offline mode.
+export const DEFAULT_CACHE_HOSTS = [
+  "cdnjs.cloudflare.com",
+  "cdn.jsdelivr.net",
+  "unpkg.com",
+  "fonts.googleapis.com",
+  "fonts.gstatic.com",
+  "api.mapbox.com",
+  "*.tiles.mapbox.com",
+];
+
+// Response headers worth replaying from the cache
+const STORED_HEADERS = ["content-type", "access-control-allow-origin"];
+
+// Query parameters that identify the caller rather than the resource
+const IGNORED_QUERY_PARAMS = ["access_token"];
+
+/**
+ * On-disk cache for assets requested by rendered pages. Pinned library
+ * versions live under `libraries/` and are kept forever; other GET responses
+ * from `hosts` live under `http/` and are evicted least recently used first
+ * once the cache grows past `maxBytes`.
+ *
+ * With `offline` set, nothing is fetched from the network: requests without
+ * a cached copy are aborted and reported by the job's session.
+ */
+export function createAssetCache({
+  dir,
+  hosts = DEFAULT_CACHE_HOSTS,
+  maxBytes = 500 * 1024 * 1024,
+  maxEntryBytes = 50 * 1024 * 1024,
+  offline = false,
+}) {
+  const rootDir = path.resolve(dir);
+  // key -> { size, lastUsed } for evictable http/ entries
+  const index = new Map();
+  const inflight = new Map();
+  let totalBytes = 0;
+  let loading = null;
+
+  // Rebuild the eviction index from disk once, on first use
+  function load() {
+    loading ??= (async () => {
+      const httpDir = path.join(rootDir, "http");
+      await fs.mkdir(httpDir, { recursive: true });
+      await fs.mkdir(path.join(rootDir, "libraries"), { recursive: true });
+      for (const name of await fs.readdir(httpDir)) {
+        if (!name.endsWith(".body")) continue;
+        const stat = await fs.stat(path.join(httpDir, name));
+        index.set(`http/${name.slice(0, -5)}`, {
+          size: stat.size,
+          lastUsed: stat.mtimeMs,
+        });
+        totalBytes += stat.size;
+      }
+    })();
+    return loading;
+  }
+
+  /**
+   * Works out where a URL is cached. Returns { key, pinned } or null when the
+   * URL must not be cached.
+   */
+  function resolveKey(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return null;
+    }
+    if (parsed.protocol !== "https:" && parsed.protocol !== "http:") {
+      return null;
+    }
+
+    for (const library of PINNED_LIBRARIES) {
+      for (const pattern of library.patterns) {
+        const match = `${parsed.origin}${parsed.pathname}`.match(pattern);
+        if (match) {
+          const [, version, file] = match;
+          return {
+            key: path.posix.join(
+              "libraries",
+              `${library.name}@${version}`,
+              path.posix.normalize(file).replace(/^(\.\.\/)+/, "")
+            ),
+            pinned: true,
+          };
+        }
+      }
+    }
+
+    if (!hosts.some((pattern) => matchesHost(parsed.hostname, pattern))) {
+      return null;
+    }
+    for (const param of IGNORED_QUERY_PARAMS) {
+      parsed.searchParams.delete(param);
+    }
+    parsed.hash = "";
+    const hash = createHash("sha256").update(parsed.href).digest("hex");
+    return { key: `http/${hash}`, pinned: false };
+  }
+
+  async function read({ key, pinned }) {
+    const bodyPath = path.join(rootDir, `${key}.body`);
+    let body;
+    let meta;
+    try {
+      [body, meta] = await Promise.all([
+        fs.readFile(bodyPath),
+        fs.readFile(path.join(rootDir, `${key}.json`), "utf8").then(JSON.parse),
+      ]);
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+
+    if (!pinned) {
+      const entry = index.get(key);
+      if (entry) entry.lastUsed = Date.now();
+      const now = new Date();
+      await fs.utimes(bodyPath, now, now).catch(() => {});
+    }
+    return { status: meta.status, headers: meta.headers, body };
+  }
+
+  async function write({ key, pinned }, url, response) {
+    if (response.body.length > maxEntryBytes) {
+      log.info("Response too large to cache", {
+        url,
+        bytes: response.body.length,
+        maxEntryBytes,
+      });
+      return false;
+    }
+
+    const bodyPath = path.join(rootDir, `${key}.body`);
+    await fs.mkdir(path.dirname(bodyPath), { recursive: true });
+    // Write to temporary names first so readers never see half an entry
+    const suffix = `.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(`${bodyPath}${suffix}`, response.body);
+    await fs.writeFile(
+      path.join(rootDir, `${key}.json${suffix}`),
+      JSON.stringify({
+        url,
+        status: response.status,
+        headers: response.headers,
+        storedAt: new Date().toISOString(),
+      })
+    );
+    await fs.rename(
+      path.join(rootDir, `${key}.json${suffix}`),
+      path.join(rootDir, `${key}.json`)
+    );
+    await fs.rename(`${bodyPath}${suffix}`, bodyPath);
+
+    if (!pinned) {
+      totalBytes -= index.get(key)?.size ?? 0;
+      index.set(key, { size: response.body.length, lastUsed: Date.now() });
+      totalBytes += response.body.length;
+      await evict();
+    }
+    return true;
+  }
+
+  async function evict() {
+    if (totalBytes <= maxBytes) return;
+    const oldestFirst = [...index.entries()].sort(
+      ([, a], [, b]) => a.lastUsed - b.lastUsed
+    );
+    for (const [key, { size }] of oldestFirst) {
+      if (totalBytes <= maxBytes) break;
+      index.delete(key);
+      totalBytes -= size;
+      await Promise.all(
+        [".body", ".json"].map((extension) =>
+          fs.rm(path.join(rootDir, `${key}${extension}`), { force: true })
+        )
+      );
+    }
+  }
+
+  // Looks up `url`, fetching and storing it on a miss. Concurrent requests for
+  // the same entry share one fetch.
+  async function lookup(url, fetchResponse) {
+    await load();
+    const resolved = resolveKey(url);
+    if (!resolved) return { cached: false, response: null };
+
+    const hit = await read(resolved);
+    if (hit) return { cached: true, response: hit, resolved };
+    if (offline) return { cached: false, response: null, resolved };
+
+    let pending = inflight.get(resolved.key);
+    if (!pending) {
+      pending = (async () => {
+        const response = await fetchResponse();
+        // Only successful responses are worth replaying later
+        const stored =
+          response.status === 200 && (await write(resolved, url, response));
+        return { response, stored };
+      })().finally(() => inflight.delete(resolved.key));
+      inflight.set(resolved.key, pending);
+    }
+    const { response, stored } = await pending;
+    return { cached: false, response, stored, resolved };
+  }
+
+  /**
+   * Intercepts every request made by `page` and serves what it can from the
+   * cache. Returns a session whose `stats()` describe this page's traffic and
+   * whose `assertComplete()` throws when offline mode blocked any request.
+   */
+  async function attach(page) {
+    const stats = {
+      hits: 0,
+      misses: 0,
+      stored: 0,
+      bypassed: 0,
+      blocked: 0,
+      bytesFromCache: 0,
+      bytesFromNetwork: 0,
+    };
+    const blockedUrls = [];
+
+    await page.route("**/*", async (route) => {
+      const request = route.request();
+      const url = request.url();
+      if (request.method() !== "GET" || !/^https?:/i.test(url)) {
+        return route.continue();
+      }
+
+      try {
+        const { cached, response, stored, resolved } = await lookup(url, () =>
+          fetchWithRoute(route)
+        );
+
+        if (cached) {
+          stats.hits++;
+          stats.bytesFromCache += response.body.length;
+          return await route.fulfill(response);
+        }
+
+        if (!resolved || !response) {
+          if (offline) {
+            stats.blocked++;
+            blockedUrls.push(url);
+            log.warn("Offline: no cached copy", { url });
+            return await route.abort("internetdisconnected");
+          }
+          stats.bypassed++;
+          return await route.continue();
+        }
+
+        stats.misses++;
+        if (stored) stats.stored++;
+        stats.bytesFromNetwork += response.body.length;
+        await route.fulfill(response);
+      } catch (error) {
+        // The page may have closed mid-request; nothing left to answer
+        if (/closed|Target page/i.test(error.message)) return;
+        log.warn("Cached request failed", { url, error });
+        await route.abort("failed").catch(() => {});
+      }
+    });
+
+    return {
+      stats: () => ({ ...stats, offline }),
+      assertComplete() {
+        if (blockedUrls.length === 0) return;
+        const listed = blockedUrls.slice(0, 5).join(", ");
+        const more =
+          blockedUrls.length > 5 ? ` and ${blockedUrls.length - 5} more` : "";
+        throw new Error(
+          `Offline asset cache has no copy of ${blockedUrls.length} requested asset(s): ${listed}${more}`
+        );
+      },
+    };
+  }
+
+  /**
+   * Downloads `url` into the cache ahead of time, e.g. to prepare an offline
+   * image. Resolves to false for URLs the cache does not keep.
+   */
+  async function prefetch(url) {
+    const { cached, stored } = await lookup(url, async () => {
+      const response = await fetch(url);
+      return {
+        status: response.status,
+        headers: pickHeaders(Object.fromEntries(response.headers)),
+        body: Buffer.from(await response.arrayBuffer()),
+      };
+    });
+    return Boolean(cached || stored);
+  }
+
+  function stats() {
+    return {
+      dir: rootDir,
+      offline,
+      entries: index.size,
+      bytes: totalBytes,
+      maxBytes,
+    };
+  }
+
+  return { attach, prefetch, stats };
+}
+
+async function fetchWithRoute(route) {
+  const response = await route.fetch();
+  return {
+    status: response.status(),
+    headers: pickHeaders(response.headers()),
+    body: await response.body(),
+  };
+}
+
+function pickHeaders(headers) {
+  const picked = {};
+  for (const name of STORED_HEADERS) {
+    if (headers[name]) picked[name] = headers[name];
+  }
+  return picked;
+}
+
+// "*.example.com" matches subdomains only
+export function matchesHost(hostname, pattern) {
+  if (pattern.startsWith("*.")) return hostname.endsWith(pattern.slice(1));
+  return hostname === pattern;
+}
@@ -0,0 +1,288 @@
+import { promises as fs } from "fs";
+import path from "path";
+import axios from "axios";
+import { runFFmpeg } from "./encoding.js";
+import { createLogger } from "./logger.js";
+import { isInternalHostname, lookupPublicAddress } from "./sandbox.js";
+
+const log = createLogger("Audio");
+
+const MAX_AUDIO_DOWNLOAD_BYTES = 100 * 1024 * 1024;
+const SAMPLE_RATE = 48000;
+
+/**
+ * Validates the job's `audio` input and fills in defaults:
+ *
+ *   {
+ *     background: { src, volume, loop, trimStart, trimEnd, fadeIn, fadeOut },
+ *     effects: [{ src, at, volume, trimStart, duration }]
+ *   }
+ *
+ * Returns null when the job has no audio.
+ */
+export function normalizeAudio(audio) {
+  if (audio === undefined || audio === null) return null;
+  if (typeof audio !== "object") throw new Error("audio must be an object");
+
+  const { background, effects = [] } = audio;
+  if (!Array.isArray(effects)) throw new Error("audio.effects must be a list");
+
+  const normalized = {
+    background: background
+      ? {
+          src: requireSource(background.src, "audio.background.src"),
+          volume: optionalNumber(
+            background.volume,
+            "audio.background.volume",
+            1
+          ),
+          loop: Boolean(background.loop),
+          trimStart: optionalNumber(
+            background.trimStart,
+            "audio.background.trimStart",
+            0
+          ),
+          trimEnd: optionalNumber(
+            background.trimEnd,
+            "audio.background.trimEnd",
+            null
+          ),
+          fadeIn: optionalNumber(
+            background.fadeIn,
+            "audio.background.fadeIn",
+            0
+          ),
+          fadeOut: optionalNumber(
+            background.fadeOut,
+            "audio.background.fadeOut",
+            0
+          ),
+        }
+      : null,
+    effects: effects.map((effect, index) => {
+      const field = `audio.effects[${index}]`;
+      if (!effect || typeof effect !== "object") {
+        throw new Error(`${field} must be an object`);
+      }
+      if (!(effect.at >= 0)) {
+        throw new Error(`${field}.at must be a timeline offset in seconds`);
+      }
+      return {
+        src: requireSource(effect.src, `${field}.src`),
+        at: effect.at,
+        volume: optionalNumber(effect.volume, `${field}.volume`, 1),
+        trimStart: optionalNumber(effect.trimStart, `${field}.trimStart`, 0),
+        duration: optionalNumber(effect.duration, `${field}.duration`, null),
+      };
+    }),
+  };
+
+  const { background: bg } = normalized;
+  if (bg && bg.trimEnd !== null && bg.trimEnd <= bg.trimStart) {
+    throw new Error("audio.background.trimEnd must be after trimStart");
+  }
+  if (!normalized.background && normalized.effects.length === 0) return null;
+
+  return normalized;
+}
+
+/**
+ * Makes every audio source available as a local file. http(s) sources are
+ * downloaded into `workDir`; anything else is a path inside `assetsDir`.
+ * Returns the local paths in mixing order: background first, then effects.
+ */
+export async function prepareAudioSources(audio, workDir, { assetsDir }) {
+  const sources = [
+    ...(audio.background ? [audio.background.src] : []),
+    ...audio.effects.map((effect) => effect.src),
+  ];
+
+  await fs.mkdir(workDir, { recursive: true });
+  return Promise.all(
+    sources.map((src, index) =>
+      resolveAudioSource(src, workDir, index, assetsDir)
+    )
+  );
+}
+
+/**
+ * Mixes the background track and effect cues into one WAV exactly
+ * `duration` seconds long, so muxing never changes the video length.
+ */
+export async function mixAudioTrack(
+  audio,
+  sourcePaths,
+  duration,
+  outputPath,
+  { signal } = {}
+) {
+  log.info("Mixing audio track", { sources: sourcePaths.length, duration });
+
+  const inputArgs = [];
+  const filters = [];
+  const mixInputs = ["[base]"];
+  let inputIndex = 0;
+
+  // Silent bed that fixes the length of the mix
+  filters.push(`anullsrc=r=${SAMPLE_RATE}:cl=stereo,atrim=0:${duration}[base]`);
+
+  if (audio.background) {
+    const bg = audio.background;
+    inputArgs.push("-i", sourcePaths[inputIndex]);
+    const chain = [
+      `atrim=start=${bg.trimStart}${bg.trimEnd !== null ? `:end=${bg.trimEnd}` : ""}`,
+      "asetpts=PTS-STARTPTS",
+    ];
+    if (bg.loop) {
+      chain.push("aloop=loop=-1:size=2147483647");
+    }
+    chain.push(`atrim=0:${duration}`, "asetpts=PTS-STARTPTS");
+    if (bg.fadeIn > 0) chain.push(`afade=t=in:st=0:d=${bg.fadeIn}`);
+    if (bg.fadeOut > 0) {
+      const fadeStart = Math.max(duration - bg.fadeOut, 0);
+      chain.push(`afade=t=out:st=${fadeStart}:d=${bg.fadeOut}`);
+    }
+    chain.push(`volume=${bg.volume}`);
+    filters.push(
+      `[${inputIndex}:a]${normalizeFormat()},${chain.join(",")}[bg]`
+    );
+    mixInputs.push("[bg]");
+    inputIndex++;
+  }
+
+  audio.effects.forEach((effect, index) => {
+    inputArgs.push("-i", sourcePaths[inputIndex]);
+    const delayMs = Math.round(effect.at * 1000);
+    const chain = [
+      `atrim=start=${effect.trimStart}${effect.duration !== null ? `:duration=${effect.duration}` : ""}`,
+      "asetpts=PTS-STARTPTS",
+      `volume=${effect.volume}`,
+      `adelay=${delayMs}|${delayMs}`,
+    ];
+    filters.push(
+      `[${inputIndex}:a]${normalizeFormat()},${chain.join(",")}[fx${index}]`
+    );
+    mixInputs.push(`[fx${index}]`);
+    inputIndex++;
+  });
+
+  filters.push(
+    `${mixInputs.join("")}amix=inputs=${mixInputs.length}:duration=first:normalize=0[mix]`
+  );
+
+  await runFFmpeg(
+    [
+      ...inputArgs,
+      "-filter_complex",
+      filters.join(";"),
+      "-map",
+      "[mix]",
+      "-t",
+      duration.toString(),
+      "-c:a",
+      "pcm_s16le",
+      "-y",
+      outputPath,
+    ],
+    { signal }
+  );
+}
+
+/**
+ * Adds the mixed audio track to an encoded video without re-encoding the
+ * video stream.
+ */
+export async function muxAudio(
+  videoPath,
+  audioPath,
+  outputPath,
+  output,
+  { signal } = {}
+) {
+  log.info("Muxing audio", { output: output.name });
+
+  await runFFmpeg(
+    [
+      "-i",
+      videoPath,
+      "-i",
+      audioPath,
+      "-map",
+      "0:v",
+      "-map",
+      "1:a",
+      "-c:v",
+      "copy",
+      "-c:a",
+      output.audioCodec,
+      ...(output.audioCodec === "pcm_s16le" ? [] : ["-b:a", "192k"]),
+      "-shortest",
+      ...(output.format === "mp4" ? ["-movflags", "+faststart"] : []),
+      "-y",
+      outputPath,
+    ],
+    { signal }
+  );
+}
+
+function normalizeFormat() {
+  return `aresample=${SAMPLE_RATE},aformat=sample_fmts=fltp:channel_layouts=stereo`;
+}
+
+async function resolveAudioSource(src, workDir, index, assetsDir) {
+  if (/^https?:\/\//i.test(src)) {
+    const url = new URL(src);
+    const extension = path.extname(url.pathname) || ".audio";
+    const localPath = path.join(workDir, `source-${index}${extension}`);
+    log.info("Downloading audio source", { src });
+    // Sources come from the job, so they must not reach the worker's own
+    // network: IP literals are checked here and on every redirect, host
+    // names whenever they are resolved
+    await lookupPublicAddress(url.hostname);
+    const response = await axios.get(src, {
+      responseType: "arraybuffer",
+      timeout: 60000,
+      maxContentLength: MAX_AUDIO_DOWNLOAD_BYTES,
+      maxRedirects: 5,
+      lookup: lookupPublicAddress,
+      beforeRedirect: ({ hostname }) => {
+        if (isInternalHostname(hostname)) {
+          throw new Error(
+            `Refusing to follow a redirect to a private address: ${hostname}`
+          );
+        }
+      },
+    });
+    await fs.writeFile(localPath, Buffer.from(response.data));
+    return localPath;
+  }
+
+  // Local files are only read from the configured assets directory
+  if (!assetsDir) {
+    throw new Error(`Local audio files are not enabled: ${src}`);
+  }
+  const rootDir = path.resolve(assetsDir);
+  const localPath = path.resolve(rootDir, src.replace(/^file:\/\//, ""));
+  if (!localPath.startsWith(rootDir + path.sep)) {
+    throw new Error(`Audio file is outside the audio assets directory: ${src}`);
+  }
+  await fs.access(localPath).catch(() => {
+    throw new Error(`Audio file not found: ${src}`);
+  });
+  return localPath;
+}
+
+function requireSource(src, field) {
+  if (typeof src !== "string" || src.length === 0) {
+    throw new Error(`${field} must be a URL or audio asset path`);
+  }
+  return src;
+}
+
+function optionalNumber(value, field, fallback) {
+  if (value === undefined || value === null) return fallback;
+  if (typeof value !== "number" || !(value >= 0)) {
+    throw new Error(`${field} must be a non-negative number`);
+  }
+  return value;
+}
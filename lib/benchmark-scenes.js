@@ -0,0 +1,247 @@
+// Reference scenes for the GL benchmark. Each is a self-contained page with
+// no network access that animates continuously until the page is closed.
+
+const PAGE_STYLE = `
+  html, body { margin: 0; height: 100%; overflow: hidden; background: #101820; }
+  canvas { display: block; width: 100vw; height: 100vh; }
+`;
+
+function page(body, script = "") {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><style>${PAGE_STYLE}</style></head>
+<body>${body}<script>${script}</script></body>
+</html>`;
+}
+
+// Several hundred composited layers moved by CSS keyframes
+const cssTransforms = page(
+  `<style>
+    .box {
+      position: absolute; width: 40px; height: 40px; border-radius: 6px;
+      animation: spin 2s linear infinite alternate;
+      will-change: transform;
+    }
+    @keyframes spin {
+      from { transform: translate(0, 0) rotate(0deg) scale(1); }
+      to { transform: translate(120px, 60px) rotate(360deg) scale(1.6); }
+    }
+  </style>`,
+  `
+  for (let i = 0; i < 400; i++) {
+    const box = document.createElement("div");
+    box.className = "box";
+    box.style.left = (i % 25) * 4 + "vw";
+    box.style.top = Math.floor(i / 25) * 6 + "vh";
+    box.style.background = "hsl(" + (i * 37) % 360 + ", 70%, 55%)";
+    box.style.animationDelay = -(i % 20) / 10 + "s";
+    document.body.appendChild(box);
+  }
+`
+);
+
+// Thousands of shapes redrawn on a 2D canvas every frame
+const canvas2d = page(
+  `<canvas id="c"></canvas>`,
+  `
+  const canvas = document.getElementById("c");
+  canvas.width = innerWidth * devicePixelRatio;
+  canvas.height = innerHeight * devicePixelRatio;
+  const ctx = canvas.getContext("2d");
+  const count = 3000;
+  function frame(time) {
+    ctx.fillStyle = "#101820";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    for (let i = 0; i < count; i++) {
+      const angle = time / 1000 + i;
+      const radius = (i / count) * Math.min(canvas.width, canvas.height) / 2;
+      ctx.beginPath();
+      ctx.fillStyle = "hsl(" + (i % 360) + ", 80%, 60%)";
+      ctx.arc(
+        canvas.width / 2 + Math.cos(angle) * radius,
+        canvas.height / 2 + Math.sin(angle * 1.3) * radius,
+        4, 0, Math.PI * 2
+      );
+      ctx.fill();
+    }
+    requestAnimationFrame(frame);
+  }
+  requestAnimationFrame(frame);
+`
+);
+
+const WEBGL_HELPERS = `
+  function createProgram(gl, vertexSource, fragmentSource) {
+    const program = gl.createProgram();
+    for (const [type, source] of [
+      [gl.VERTEX_SHADER, vertexSource],
+      [gl.FRAGMENT_SHADER, fragmentSource],
+    ]) {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(gl.getShaderInfoLog(shader));
+      }
+      gl.attachShader(program, shader);
+    }
+    gl.linkProgram(program);
+    return program;
+  }
+  function setupCanvas() {
+    const canvas = document.getElementById("c");
+    canvas.width = innerWidth * devicePixelRatio;
+    canvas.height = innerHeight * devicePixelRatio;
+    const gl = canvas.getContext("webgl");
+    if (!gl) throw new Error("WebGL is not available");
+    gl.viewport(0, 0, canvas.width, canvas.height);
+    return gl;
+  }
+`;
+
+// Additively blended point sprites animated in the vertex shader
+const webglParticles = page(
+  `<canvas id="c"></canvas>`,
+  `${WEBGL_HELPERS}
+  const gl = setupCanvas();
+  const program = createProgram(gl, \`
+    attribute vec2 seed;
+    uniform float time;
+    varying vec3 color;
+    void main() {
+      float angle = seed.x * 6.2831 + time * (0.2 + seed.y);
+      float radius = 0.1 + seed.y * 0.85;
+      gl_Position = vec4(cos(angle) * radius, sin(angle * 1.7) * radius, 0.0, 1.0);
+      gl_PointSize = 3.0 + seed.y * 4.0;
+      color = vec3(seed.x, seed.y, 1.0 - seed.x);
+    }
+  \`, \`
+    precision mediump float;
+    varying vec3 color;
+    void main() {
+      float d = length(gl_PointCoord - 0.5);
+      gl_FragColor = vec4(color, smoothstep(0.5, 0.0, d));
+    }
+  \`);
+  const count = 50000;
+  const seeds = new Float32Array(count * 2);
+  for (let i = 0; i < seeds.length; i++) seeds[i] = Math.random();
+  gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+  gl.bufferData(gl.ARRAY_BUFFER, seeds, gl.STATIC_DRAW);
+  gl.useProgram(program);
+  const seedLocation = gl.getAttribLocation(program, "seed");
+  gl.enableVertexAttribArray(seedLocation);
+  gl.vertexAttribPointer(seedLocation, 2, gl.FLOAT, false, 0, 0);
+  const timeLocation = gl.getUniformLocation(program, "time");
+  gl.enable(gl.BLEND);
+  gl.blendFunc(gl.SRC_ALPHA, gl.ONE);
+  function frame(time) {
+    gl.clearColor(0.06, 0.09, 0.12, 1);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.uniform1f(timeLocation, time / 1000);
+    gl.drawArrays(gl.POINTS, 0, count);
+    requestAnimationFrame(frame);
+  }
+  requestAnimationFrame(frame);
+`
+);
+
+// Raster map tiles drawn locally into textures, then panned and zoomed as
+// textured quads the way Mapbox GL draws raster layers
+const mapTiles = page(
+  `<canvas id="c"></canvas>`,
+  `${WEBGL_HELPERS}
+  const gl = setupCanvas();
+  const program = createProgram(gl, \`
+    attribute vec2 corner;
+    uniform vec2 tileOrigin;
+    uniform vec2 camera;
+    uniform float scale;
+    uniform vec2 viewport;
+    varying vec2 uv;
+    void main() {
+      vec2 pixel = (tileOrigin + corner * 256.0 - camera) * scale;
+      gl_Position = vec4(pixel / viewport * 2.0 * vec2(1.0, -1.0), 0.0, 1.0);
+      uv = corner;
+    }
+  \`, \`
+    precision mediump float;
+    uniform sampler2D tile;
+    varying vec2 uv;
+    void main() { gl_FragColor = texture2D(tile, uv); }
+  \`);
+
+  function drawTile(x, y) {
+    const tile = document.createElement("canvas");
+    tile.width = tile.height = 256;
+    const ctx = tile.getContext("2d");
+    ctx.fillStyle = (x + y) % 2 ? "#e8e4d8" : "#efeadf";
+    ctx.fillRect(0, 0, 256, 256);
+    ctx.fillStyle = "#a8d5a2";
+    ctx.fillRect(((x * 53) % 160), ((y * 97) % 160), 80, 60);
+    ctx.strokeStyle = "#ffffff";
+    ctx.lineWidth = 8;
+    for (let i = 0; i < 4; i++) {
+      ctx.beginPath();
+      ctx.moveTo(0, ((x * 31 + y * 17 + i * 67) % 256));
+      ctx.lineTo(256, ((x * 13 + y * 41 + i * 89) % 256));
+      ctx.stroke();
+    }
+    ctx.fillStyle = "#333";
+    ctx.font = "14px sans-serif";
+    ctx.fillText(x + "/" + y, 8, 20);
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, tile);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+  }
+
+  const gridSize = 16;
+  const tiles = [];
+  for (let y = 0; y < gridSize; y++) {
+    for (let x = 0; x < gridSize; x++) tiles.push({ x, y, texture: drawTile(x, y) });
+  }
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0,0, 1,0, 0,1, 1,1]), gl.STATIC_DRAW);
+  gl.useProgram(program);
+  const cornerLocation = gl.getAttribLocation(program, "corner");
+  gl.enableVertexAttribArray(cornerLocation);
+  gl.vertexAttribPointer(cornerLocation, 2, gl.FLOAT, false, 0, 0);
+  const uniforms = {};
+  for (const name of ["tileOrigin", "camera", "scale", "viewport"]) {
+    uniforms[name] = gl.getUniformLocation(program, name);
+  }
+  gl.uniform2f(uniforms.viewport, gl.canvas.width, gl.canvas.height);
+
+  function frame(time) {
+    const t = time / 1000;
+    const worldSize = gridSize * 256;
+    gl.uniform2f(
+      uniforms.camera,
+      worldSize / 2 + Math.cos(t * 0.3) * worldSize * 0.3,
+      worldSize / 2 + Math.sin(t * 0.2) * worldSize * 0.3
+    );
+    gl.uniform1f(uniforms.scale, 1.5 + Math.sin(t * 0.5));
+    gl.clearColor(0.85, 0.85, 0.82, 1);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    for (const tile of tiles) {
+      gl.bindTexture(gl.TEXTURE_2D, tile.texture);
+      gl.uniform2f(uniforms.tileOrigin, tile.x * 256, tile.y * 256);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+    requestAnimationFrame(frame);
+  }
+  requestAnimationFrame(frame);
+`
+);
+
+export const BENCHMARK_SCENES = {
+  "css-transforms": cssTransforms,
+  "canvas-2d": canvas2d,
+  "webgl-particles": webglParticles,
+  "map-tiles": mapTiles,
+};
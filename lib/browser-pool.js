@@ -0,0 +1,247 @@
+import { createLogger } from "./logger.js";
+
+const log = createLogger("Pool");
+
+/**
+ * Keeps one warm browser per launch profile and hands out fresh, isolated
+ * BrowserContexts to jobs. At most `maxConcurrency` contexts are open at
+ * once across all profiles; further `acquire` calls wait for a slot.
+ *
+ * A browser is recycled after `maxJobsPerBrowser` contexts, when it
+ * disconnects (crash) or when a health check fails.
+ *
+ * `launch(profile)` resolves to { browser, kill }, where `kill()` ends the
+ * browser's whole process tree even when it no longer responds.
+ */
+export function createBrowserPool({
+  launch,
+  maxConcurrency = 2,
+  maxJobsPerBrowser = 20,
+  healthCheckIntervalMs = 30000,
+  healthCheckTimeoutMs = 5000,
+}) {
+  // profile -> { browser, kill, launching, profile, jobsServed, activeContexts, launchedAt, retiring }
+  const entries = new Map();
+  const waiting = [];
+  let active = 0;
+  const totals = {
+    launched: 0,
+    recycled: 0,
+    crashed: 0,
+    killed: 0,
+    healthCheckFailures: 0,
+  };
+
+  const healthCheckTimer = setInterval(runHealthChecks, healthCheckIntervalMs);
+  healthCheckTimer.unref();
+
+  async function acquire(profile, contextOptions = {}, { signal } = {}) {
+    await waitForSlot(signal);
+
+    try {
+      const entry = await getEntry(profile);
+      entry.activeContexts++;
+      entry.jobsServed++;
+
+      let context;
+      try {
+        context = await entry.browser.newContext(contextOptions);
+      } catch (error) {
+        entry.activeContexts--;
+        throw error;
+      }
+
+      let released = false;
+      const release = async () => {
+        if (released) return;
+        released = true;
+        await context.close().catch(() => {});
+        entry.activeContexts--;
+        releaseSlot();
+
+        if (entry.jobsServed >= maxJobsPerBrowser && !entry.retiring) {
+          log.info("Recycling browser", {
+            profile,
+            jobsServed: entry.jobsServed,
+          });
+          totals.recycled++;
+          retire(entry);
+        } else if (entry.retiring && entry.activeContexts === 0) {
+          await entry.browser.close().catch(() => {});
+        }
+      };
+
+      // For a job that hung: ends the browser under every context it holds
+      const kill = async () => {
+        if (!entry.retiring) {
+          log.warn("Killing browser", { profile });
+          totals.killed++;
+          retire(entry);
+        }
+        await entry.kill().catch(() => {});
+        await release();
+      };
+
+      return { browser: entry.browser, context, release, kill };
+    } catch (error) {
+      releaseSlot();
+      throw error;
+    }
+  }
+
+  function waitForSlot(signal) {
+    signal?.throwIfAborted();
+    if (active < maxConcurrency) {
+      active++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        resolve: () => {
+          signal?.removeEventListener("abort", onAbort);
+          resolve();
+        },
+      };
+      const onAbort = () => {
+        waiting.splice(waiting.indexOf(waiter), 1);
+        reject(signal.reason);
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      waiting.push(waiter);
+    });
+  }
+
+  function releaseSlot() {
+    const next = waiting.shift();
+    if (next) {
+      // Hand the slot straight to the next waiter
+      next.resolve();
+    } else {
+      active--;
+    }
+  }
+
+  async function getEntry(profile) {
+    let entry = entries.get(profile);
+    if (entry && !entry.retiring) {
+      if (entry.launching) await entry.launching;
+      if (entry.browser?.isConnected()) return entry;
+    }
+
+    entry = {
+      profile,
+      browser: null,
+      kill: null,
+      launching: null,
+      jobsServed: 0,
+      activeContexts: 0,
+      launchedAt: null,
+      retiring: false,
+    };
+    entries.set(profile, entry);
+
+    entry.launching = (async () => {
+      log.info("Launching warm browser", { profile });
+      const { browser, kill } = await launch(profile);
+      totals.launched++;
+      entry.browser = browser;
+      entry.kill = kill;
+      entry.launchedAt = new Date();
+      browser.on("disconnected", () => {
+        if (!entry.retiring) {
+          log.warn("Browser disconnected unexpectedly", { profile });
+          totals.crashed++;
+          retire(entry);
+        }
+      });
+    })();
+
+    try {
+      await entry.launching;
+    } catch (error) {
+      entries.delete(profile);
+      throw error;
+    } finally {
+      entry.launching = null;
+    }
+    return entry;
+  }
+
+  // Stop handing out the entry; its browser closes once its last context does
+  function retire(entry) {
+    entry.retiring = true;
+    if (entries.get(entry.profile) === entry) entries.delete(entry.profile);
+    if (entry.activeContexts === 0) entry.browser?.close().catch(() => {});
+  }
+
+  async function runHealthChecks() {
+    for (const entry of entries.values()) {
+      // Only probe idle browsers so the check never competes with a render
+      if (entry.launching || entry.activeContexts > 0) continue;
+
+      try {
+        await withTimeout(
+          (async () => {
+            const context = await entry.browser.newContext();
+            await context.close();
+          })(),
+          healthCheckTimeoutMs
+        );
+      } catch (error) {
+        log.warn("Browser health check failed", {
+          profile: entry.profile,
+          error,
+        });
+        totals.healthCheckFailures++;
+        retire(entry);
+      }
+    }
+  }
+
+  function stats() {
+    return {
+      maxConcurrency,
+      maxJobsPerBrowser,
+      activeContexts: active,
+      waiting: waiting.length,
+      totals: { ...totals },
+      browsers: [...entries.values()].map((entry) => ({
+        profile: entry.profile,
+        connected: Boolean(entry.browser?.isConnected()),
+        version: entry.browser?.version() ?? null,
+        jobsServed: entry.jobsServed,
+        activeContexts: entry.activeContexts,
+        launchedAt: entry.launchedAt,
+      })),
+    };
+  }
+
+  async function close() {
+    clearInterval(healthCheckTimer);
+    const closing = [...entries.values()].map((entry) => {
+      entry.retiring = true;
+      return entry.browser?.close().catch(() => {});
+    });
+    entries.clear();
+    await Promise.all(closing);
+  }
+
+  return { acquire, stats, close };
+}
+
+/**
+ * Settles like `promise`, or rejects once `timeoutMs` passes first.
+ */
+export function withTimeout(promise, timeoutMs) {
+  let timeoutId;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timeoutId = setTimeout(
+        () => reject(new Error(`Timed out after ${timeoutMs}ms`)),
+        timeoutMs
+      );
+    }),
+  ]).finally(() => clearTimeout(timeoutId));
+}
@@ -0,0 +1,262 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { promises as fs } from "fs";
+import path from "path";
+import { withTimeout } from "./browser-pool.js";
+import { zipDirectory } from "./encoding.js";
+import { createLogger, getLogContext } from "./logger.js";
+
+const log = createLogger("Diagnostics");
+
+// "failed" keeps a bundle for failed jobs only, "always" for every job
+export const DIAGNOSTICS_MODES = ["off", "failed", "always"];
+
+// Caps that keep a noisy page or a long encode from filling memory
+const MAX_ENTRIES = 1000;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_FFMPEG_OUTPUT_LENGTH = 64 * 1024;
+
+// Query parameters that carry credentials: API tokens and keys, and the
+// signature of presigned URLs
+const SECRET_PARAMS =
+  /([?&](?:access_token|token|api_?key|key|secret|password|signature|sig|x-amz-credential|x-amz-signature|x-amz-security-token)=)[^&#\s"'<>\\]+/gi;
+
+// How long a page may take to hand over its screenshot and trace; a hung
+// browser gets killed after this
+const PAGE_FLUSH_TIMEOUT_MS = 10000;
+
+const currentDiagnostics = new AsyncLocalStorage();
+
+/**
+ * Collects what is needed to debug one job, writing files into `dir`: the
+ * console messages, uncaught errors and failed requests of every page it
+ * opens, a screenshot of each page as it was last rendered, a Playwright
+ * trace per page (with `trace`), the flags each browser was launched with
+ * and the stderr of every FFmpeg run. `write(summary)` puts it all together
+ * and resolves to the path of a zip of `dir`.
+ *
+ * `secrets` (e.g. API keys) and credentials in URL query parameters are
+ * replaced with [redacted] in everything written. Traces cannot be redacted,
+ * so the trace of a page that requested such a URL is dropped.
+ *
+ * Pages and FFmpeg runs find the collector with getDiagnostics, so a job
+ * only has to run inside runWithDiagnostics.
+ */
+export function createDiagnostics(dir, { trace = true, secrets = [] } = {}) {
+  const consoleMessages = [];
+  const pageErrors = [];
+  const failedRequests = [];
+  const ffmpegRuns = [];
+  const browsers = {};
+  const dropped = {
+    console: 0,
+    pageErrors: 0,
+    failedRequests: 0,
+    ffmpegRuns: 0,
+    traces: 0,
+  };
+  let pageCount = 0;
+
+  const redact = (text) => redactSecrets(text, secrets);
+
+  const add = (list, kind, entry) => {
+    if (list.length >= MAX_ENTRIES) {
+      dropped[kind]++;
+      return;
+    }
+    list.push({ time: new Date().toISOString(), ...entry });
+  };
+
+  // Notes the flags of a browser profile the job renders with, before the
+  // browser is started in case starting it is what fails
+  function recordLaunch(profile, args) {
+    browsers[profile] ??= { version: null, args };
+  }
+
+  // Starts watching a render page from the browser `profile`. Resolves to
+  // { finish() }, which saves the page's screenshot and trace and must be
+  // called before its context closes.
+  async function attachPage(page, { profile }) {
+    const number = ++pageCount;
+    // Page events arrive outside the job's async context, so they are
+    // labelled with where the page was opened
+    const { record, variant } = getLogContext();
+    const labels = { page: number, record, variant };
+
+    if (browsers[profile]) {
+      browsers[profile].version ??= page.context().browser()?.version() ?? null;
+    }
+
+    page.on("console", (message) =>
+      add(consoleMessages, "console", {
+        ...labels,
+        type: message.type(),
+        text: truncate(message.text(), MAX_TEXT_LENGTH),
+        url: message.location().url || undefined,
+      })
+    );
+    page.on("pageerror", (error) =>
+      add(pageErrors, "pageErrors", {
+        ...labels,
+        message: truncate(error.message, MAX_TEXT_LENGTH),
+        stack: truncate(error.stack ?? "", MAX_TEXT_LENGTH),
+      })
+    );
+    page.on("requestfailed", (request) =>
+      add(failedRequests, "failedRequests", {
+        ...labels,
+        url: truncate(request.url(), MAX_TEXT_LENGTH),
+        method: request.method(),
+        resourceType: request.resourceType(),
+        failure: request.failure()?.errorText ?? null,
+      })
+    );
+    let traceHasSecrets = false;
+    page.on("request", (request) => {
+      if (redact(request.url()) !== request.url()) traceHasSecrets = true;
+    });
+    page.on("response", (response) => {
+      if (response.status() < 400) return;
+      add(failedRequests, "failedRequests", {
+        ...labels,
+        url: truncate(response.url(), MAX_TEXT_LENGTH),
+        method: response.request().method(),
+        resourceType: response.request().resourceType(),
+        status: response.status(),
+      });
+    });
+
+    // Actions, console and network only: DOM snapshots and screencast
+    // frames would grow with every captured frame
+    let tracing = null;
+    if (trace) {
+      try {
+        await page
+          .context()
+          .tracing.start({ snapshots: false, screenshots: false });
+        tracing = page.context().tracing;
+      } catch (error) {
+        log.warn("Could not start trace", { page: number, error });
+      }
+    }
+
+    const flush = async () => {
+      await fs.mkdir(dir, { recursive: true });
+      try {
+        await page.screenshot({
+          path: path.join(dir, `page-${number}.png`),
+          scale: "css",
+        });
+      } catch (error) {
+        log.warn("Could not take page screenshot", { page: number, error });
+      }
+      if (tracing && traceHasSecrets) {
+        await tracing.stop();
+        dropped.traces++;
+        log.info("Dropped page trace that recorded credentials", {
+          page: number,
+        });
+      } else if (tracing) {
+        await tracing.stop({ path: path.join(dir, `trace-${number}.zip`) });
+      }
+    };
+
+    let finished = null;
+    return {
+      finish() {
+        finished ??= withTimeout(flush(), PAGE_FLUSH_TIMEOUT_MS).catch(
+          (error) =>
+            log.warn("Could not save page diagnostics", {
+              page: number,
+              error,
+            })
+        );
+        return finished;
+      },
+    };
+  }
+
+  // Keeps the end of an FFmpeg run's stderr, where its errors are
+  function recordFFmpeg({ args, exitCode, stderr }) {
+    const { phase, record, variant } = getLogContext();
+    add(ffmpegRuns, "ffmpegRuns", {
+      phase,
+      record,
+      variant,
+      args,
+      exitCode,
+      stderr:
+        stderr.length > MAX_FFMPEG_OUTPUT_LENGTH
+          ? `[...]\n${stderr.slice(-MAX_FFMPEG_OUTPUT_LENGTH)}`
+          : stderr,
+    });
+  }
+
+  // Writes diagnostics.json, with `summary` (job, status, error) at the top,
+  // and one log file per FFmpeg run, then zips the directory
+  async function write(summary) {
+    await fs.mkdir(dir, { recursive: true });
+    const ffmpeg = [];
+    for (const [index, { stderr, ...run }] of ffmpegRuns.entries()) {
+      const file = `ffmpeg-${index + 1}.log`;
+      await fs.writeFile(
+        path.join(dir, file),
+        redact(`$ ffmpeg ${run.args.join(" ")}\n\n${stderr}`),
+        "utf8"
+      );
+      ffmpeg.push({ ...run, file });
+    }
+    await fs.writeFile(
+      path.join(dir, "diagnostics.json"),
+      redact(
+        JSON.stringify(
+          {
+            ...summary,
+            browsers,
+            pages: pageCount,
+            console: consoleMessages,
+            pageErrors,
+            failedRequests,
+            ffmpeg,
+            dropped,
+          },
+          null,
+          2
+        )
+      ),
+      "utf8"
+    );
+
+    const bundlePath = `${dir}.zip`;
+    await zipDirectory(dir, bundlePath);
+    return bundlePath;
+  }
+
+  return { dir, recordLaunch, attachPage, recordFFmpeg, write };
+}
+
+/**
+ * Runs `fn` with `diagnostics` (or null for none) as the collector that
+ * getDiagnostics returns, including in callbacks and promises it starts.
+ */
+export function runWithDiagnostics(diagnostics, fn) {
+  return currentDiagnostics.run(diagnostics, fn);
+}
+
+/**
+ * The current job's diagnostics collector, or null.
+ */
+export function getDiagnostics() {
+  return currentDiagnostics.getStore() ?? null;
+}
+
+function redactSecrets(text, secrets) {
+  let redacted = text.replace(SECRET_PARAMS, "$1[redacted]");
+  for (const secret of secrets) {
+    if (secret) redacted = redacted.split(secret).join("[redacted]");
+  }
+  return redacted;
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength)}...` : text;
+}
@@ -0,0 +1,141 @@
+import { createLogger } from "./logger.js";
+
+const log = createLogger("Duration");
+
+// GSAP reports infinitely repeating animations with a huge totalDuration()
+const INFINITE_DURATION_THRESHOLD = 1e8;
+
+/**
+ * Works out how long to record. An explicit `override` wins; otherwise the
+ * loaded page's GSAP global timeline is measured, including nested
+ * timelines, delays and repeats. Infinitely repeating animations count for
+ * `loopCycles` cycles. When GSAP has nothing scheduled, falls back to
+ * guessing from the HTML source.
+ *
+ * Resolves to { seconds, source, infinite } where `source` is "override",
+ * "timeline" or "estimate".
+ */
+export async function detectAnimationDuration(
+  page,
+  htmlContent,
+  { override, loopCycles = 1, maxDuration }
+) {
+  if (override !== undefined) {
+    return { seconds: override, source: "override", infinite: false };
+  }
+
+  const measured = await page.evaluate(measureGlobalTimeline, {
+    threshold: INFINITE_DURATION_THRESHOLD,
+  });
+
+  if (!measured || (measured.end <= 0 && measured.loops.length === 0)) {
+    const seconds = estimateDuration(htmlContent);
+    log.warn("GSAP timeline is empty, estimating from the source", {
+      seconds,
+    });
+    return { seconds, source: "estimate", infinite: false };
+  }
+
+  const loopEnds = measured.loops.map(
+    ({ start, cycle }) => start + cycle * loopCycles
+  );
+  let seconds = Math.max(measured.end, ...loopEnds);
+  if (seconds > maxDuration) {
+    log.warn("Detected duration exceeds the limit, clamping", {
+      seconds,
+      maxDuration,
+    });
+    seconds = maxDuration;
+  }
+
+  return {
+    seconds,
+    source: "timeline",
+    infinite: measured.loops.length > 0,
+    ...(measured.loops.length > 0 && { loopCycles }),
+  };
+}
+
+// Runs in the page. Returns the end time of all finite animations and the
+// start and cycle length of every infinitely repeating one, measured from
+// when the first animation was created on the global timeline.
+function measureGlobalTimeline({ threshold }) {
+  const { gsap } = globalThis;
+  const children = gsap.globalTimeline.getChildren(false, true, true);
+  if (children.length === 0) return null;
+
+  const measure = (animation, offset) => {
+    const start = offset + animation.startTime();
+    const total = animation.totalDuration();
+    if (total < threshold) {
+      return { end: start + total, loops: [] };
+    }
+
+    if (animation.repeat() === -1 && animation.duration() < threshold) {
+      return {
+        end: start,
+        loops: [
+          { start, cycle: animation.duration() + animation.repeatDelay() },
+        ],
+      };
+    }
+
+    // A timeline that only looks infinite because of one of its children
+    let end = start;
+    const loops = [];
+    const nested = animation.getChildren
+      ? animation.getChildren(false, true, true)
+      : [];
+    for (const child of nested) {
+      const result = measure(child, start);
+      end = Math.max(end, result.end);
+      loops.push(...result.loops);
+    }
+    return { end, loops };
+  };
+
+  // Leading delays are part of the animation, so measure from creation time
+  const origin = Math.min(
+    ...children.map((child) => child.startTime() - child.delay())
+  );
+  let end = 0;
+  const loops = [];
+  for (const child of children) {
+    const result = measure(child, -origin);
+    end = Math.max(end, result.end);
+    loops.push(...result.loops);
+  }
+  return { end, loops };
+}
+
+// Last resort when nothing is scheduled on the timeline at load time
+export function estimateDuration(gsapCode) {
+  // Try to extract duration from GSAP timeline
+  const durationMatch = gsapCode.match(/duration[:\s]*(\d+(?:\.\d+)?)/i);
+  if (durationMatch) {
+    return parseFloat(durationMatch[1]);
+  }
+
+  // Look for timeline with explicit duration
+  const timelineMatch = gsapCode.match(
+    /timeline\.to\([^,]+,\s*\{[^}]*duration[:\s]*(\d+(?:\.\d+)?)/i
+  );
+  if (timelineMatch) {
+    return parseFloat(timelineMatch[1]);
+  }
+
+  // Look for repeat duration
+  const repeatMatch = gsapCode.match(
+    /repeat[:\s]*-1[^}]*duration[:\s]*(\d+(?:\.\d+)?)/i
+  );
+  if (repeatMatch) {
+    return parseFloat(repeatMatch[1]);
+  }
+
+  // Default estimation based on code complexity
+  const codeLength = gsapCode.length;
+  if (codeLength < 1000) return 5;
+  if (codeLength < 2000) return 8;
+  if (codeLength < 3000) return 12;
+  return 15;
+}
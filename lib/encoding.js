@@ -0,0 +1,615 @@
+import { spawn } from "child_process";
+import { once } from "events";
+import { createWriteStream, promises as fs } from "fs";
+import path from "path";
+import { PassThrough } from "stream";
+import { pipeline } from "stream/promises";
+import archiver from "archiver";
+import { getDiagnostics } from "./diagnostics.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("Encoder");
+// Raw FFmpeg stderr, only kept at debug level
+const ffmpegLog = createLogger("FFmpeg");
+
+// The end of FFmpeg's stderr kept per run, where its errors are; progress
+// lines of a long encode would otherwise grow it without limit. Errors quote
+// a shorter tail, since their message ends up in webhook payloads.
+const MAX_STDERR_LENGTH = 64 * 1024;
+const MAX_ERROR_OUTPUT_LENGTH = 4 * 1024;
+
+// Supported output formats, the file each one produces and the codec used
+// for the job's audio track (null when the format cannot carry audio)
+export const OUTPUT_FORMATS = {
+  mp4: { extension: "mp4", contentType: "video/mp4", audioCodec: "aac" },
+  webm: { extension: "webm", contentType: "video/webm", audioCodec: "libopus" },
+  prores: {
+    extension: "mov",
+    contentType: "video/quicktime",
+    audioCodec: "pcm_s16le",
+  },
+  gif: { extension: "gif", contentType: "image/gif", audioCodec: null },
+  "png-sequence": {
+    extension: "zip",
+    contentType: "application/zip",
+    audioCodec: null,
+  },
+};
+
+export const OUTPUT_QUALITIES = ["low", "medium", "high"];
+
+// Encoder settings per quality level
+const QUALITY_SETTINGS = {
+  mp4: { low: { crf: 28 }, medium: { crf: 23 }, high: { crf: 18 } },
+  webm: { low: { crf: 40 }, medium: { crf: 32 }, high: { crf: 24 } },
+  prores: { low: { qscale: 13 }, medium: { qscale: 9 }, high: { qscale: 4 } },
+  gif: {
+    low: { maxColors: 64, dither: "bayer:bayer_scale=3" },
+    medium: { maxColors: 128, dither: "sierra2_4a" },
+    high: { maxColors: 256, dither: "sierra2_4a" },
+  },
+};
+
+const DEFAULT_GIF_FPS = 15;
+// Frames buffered ahead of FFmpeg before streamed capture has to wait
+const STREAM_BUFFER_BYTES = 16 * 1024 * 1024;
+const OUTPUT_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Fills in defaults for the job's `outputs` list and rejects unknown
+ * formats or settings. Without `outputs` the job produces one MP4.
+ */
+export function normalizeOutputs(outputs = [{ format: "mp4" }]) {
+  if (!Array.isArray(outputs) || outputs.length === 0) {
+    throw new Error("outputs must be a non-empty list");
+  }
+
+  const names = new Set();
+  return outputs.map((output, index) => {
+    const {
+      format,
+      name = outputs.length === 1 ? "video" : `${format}-${index}`,
+      quality = "medium",
+      fps,
+      width,
+      height,
+      transparent = format === "prores",
+    } = output || {};
+
+    if (!OUTPUT_FORMATS[format]) {
+      throw new Error(
+        `outputs[${index}].format must be one of: ${Object.keys(OUTPUT_FORMATS).join(", ")}`
+      );
+    }
+    if (!OUTPUT_NAME_PATTERN.test(name) || names.has(name)) {
+      throw new Error(
+        `outputs[${index}].name must be unique and match ${OUTPUT_NAME_PATTERN}`
+      );
+    }
+    if (!OUTPUT_QUALITIES.includes(quality)) {
+      throw new Error(
+        `outputs[${index}].quality must be one of: ${OUTPUT_QUALITIES.join(", ")}`
+      );
+    }
+    if (fps !== undefined && !(fps > 0)) {
+      throw new Error(`outputs[${index}].fps must be a positive number`);
+    }
+    for (const [field, value] of Object.entries({ width, height })) {
+      if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+        throw new Error(
+          `outputs[${index}].${field} must be a positive integer`
+        );
+      }
+    }
+    if (transparent && format === "mp4") {
+      throw new Error(`outputs[${index}]: mp4 does not support transparency`);
+    }
+
+    names.add(name);
+    return {
+      name,
+      format,
+      quality,
+      fps: fps ?? (format === "gif" ? DEFAULT_GIF_FPS : undefined),
+      width,
+      height,
+      transparent,
+      ...OUTPUT_FORMATS[format],
+    };
+  });
+}
+
+/**
+ * How frames must be captured to serve every output: lossless PNG when any
+ * output needs alpha or is itself a PNG sequence, JPEG otherwise.
+ */
+export function getCaptureFormat(outputs) {
+  const transparent = outputs.some((output) => output.transparent);
+  const lossless =
+    transparent || outputs.some((output) => output.format === "png-sequence");
+  return { frameFormat: lossless ? "png" : "jpeg", transparent };
+}
+
+/**
+ * Whether every output can be encoded while frames stream in. PNG sequences
+ * are zipped from files, so they need the frames on disk.
+ */
+export function canStreamOutputs(outputs) {
+  return outputs.every((output) => output.format !== "png-sequence");
+}
+
+// Formats whose encoded segments can be joined without re-encoding
+const CONCAT_FORMATS = ["mp4", "webm", "prores"];
+
+/**
+ * Whether every output can be rendered in segments that are encoded
+ * separately and joined afterwards. GIF palettes are per file, so GIFs are
+ * encoded from the joined frames instead.
+ */
+export function canConcatOutputs(outputs) {
+  return outputs.every((output) => CONCAT_FORMATS.includes(output.format));
+}
+
+/**
+ * Whether a render pipes its frames into FFmpeg while capturing instead of
+ * writing them to disk first. `allowed` is false when streaming is turned
+ * off or the frames are wanted as files; a `segmented` render also needs
+ * outputs whose segments can be joined.
+ */
+export function shouldStreamFrames(
+  outputs,
+  { allowed = true, segmented = false } = {}
+) {
+  return (
+    allowed &&
+    canStreamOutputs(outputs) &&
+    (!segmented || canConcatOutputs(outputs))
+  );
+}
+
+/**
+ * Joins the encoded segments of one output into `outputPath` with FFmpeg's
+ * concat demuxer and stream copy, so nothing is re-encoded.
+ */
+export async function concatSegments(
+  segmentPaths,
+  outputPath,
+  output,
+  { signal } = {}
+) {
+  log.info("Joining segments", {
+    output: output.name,
+    segments: segmentPaths.length,
+  });
+  const listPath = `${outputPath}.segments.txt`;
+  await fs.writeFile(
+    listPath,
+    segmentPaths
+      .map((segmentPath) => `file '${segmentPath.replaceAll("'", "'\\''")}'\n`)
+      .join("")
+  );
+  try {
+    await runFFmpeg(
+      [
+        "-f",
+        "concat",
+        "-safe",
+        "0",
+        "-i",
+        listPath,
+        "-c",
+        "copy",
+        ...(output.format === "mp4" ? ["-movflags", "+faststart"] : []),
+        "-y",
+        outputPath,
+      ],
+      { signal }
+    );
+  } finally {
+    await fs.rm(listPath, { force: true });
+  }
+}
+
+/**
+ * Writes captured frames as numbered images in `framesDir` for
+ * stitchFramesToVideo, the on-disk path. `bytesOnDisk` is the total size of
+ * the frames written.
+ */
+export function createDiskFrameSink(framesDir, frameFormat) {
+  const extension = frameFormat === "png" ? "png" : "jpg";
+  let frameCount = 0;
+  let bytesOnDisk = 0;
+
+  return {
+    mode: "disk",
+    framesDir,
+    fps: null,
+    get frameCount() {
+      return frameCount;
+    },
+    get bytesOnDisk() {
+      return bytesOnDisk;
+    },
+    async write(buffer) {
+      const paddedFrameNumber = frameCount.toString().padStart(6, "0");
+      await fs.writeFile(
+        path.join(framesDir, `frame_${paddedFrameNumber}.${extension}`),
+        buffer
+      );
+      frameCount++;
+      bytesOnDisk += buffer.length;
+    },
+    async flush() {},
+    async abort() {},
+  };
+}
+
+/**
+ * Encodes frames while they are being captured: a single FFmpeg process
+ * reads them from stdin (image2pipe) and writes every target at once.
+ * `targets` is [{ output, outputPath }].
+ *
+ * Frames written with a timestamp (seconds) are resampled to a constant
+ * `fps`, repeating the previous frame to fill gaps; frames without one take
+ * one slot each. `write` resolves once the frame is buffered for FFmpeg, so
+ * awaiting it holds the capture back when the encoder falls behind.
+ * `flush(endTimestamp)` writes the last frame and closes stdin; `finish`
+ * waits for the encode and resolves to { encodeWaitMs, timeSavedMs }, where
+ * timeSavedMs is the encoding that ran alongside capture instead of after
+ * it. `abort` stops FFmpeg.
+ */
+export function createStreamingEncoder(targets, { fps, frameFormat, signal }) {
+  const filterGraphs = [];
+  const outputArgs = [];
+  for (const [index, { output, outputPath }] of targets.entries()) {
+    if (output.format === "gif") {
+      const id = `gif${index}`;
+      filterGraphs.push(gifFilterGraph(output, id));
+      outputArgs.push("-map", `[${id}]`, "-y", outputPath);
+    } else {
+      outputArgs.push(
+        "-map",
+        "0:v",
+        ...filterArgs(output),
+        ...codecArgs(output),
+        "-y",
+        outputPath
+      );
+    }
+  }
+
+  log.info("Streaming frames to encoder", {
+    outputs: targets.map(({ output }) => output.name),
+    fps,
+    frameFormat,
+  });
+
+  const controller = new AbortController();
+  const frames = new PassThrough({ highWaterMark: STREAM_BUFFER_BYTES });
+  let framesEncoded = 0;
+  let onEncodeProgress = () => {};
+  const encoding = runFFmpeg(
+    [
+      "-f",
+      "image2pipe",
+      "-framerate",
+      fps.toString(),
+      "-c:v",
+      frameFormat === "png" ? "png" : "mjpeg",
+      "-i",
+      "pipe:0",
+      ...(filterGraphs.length > 0
+        ? ["-filter_complex", filterGraphs.join(";")]
+        : []),
+      ...outputArgs,
+    ],
+    {
+      signal: signal
+        ? AbortSignal.any([signal, controller.signal])
+        : controller.signal,
+      stdin: frames,
+      onFrames: (count) => {
+        framesEncoded = count;
+        onEncodeProgress(count);
+      },
+    }
+  );
+  // Surfaces an encoder that dies while frames are still being written
+  const exited = encoding.then(() => {
+    throw new Error("FFmpeg exited before all frames were written");
+  });
+  exited.catch(() => {});
+
+  let frameCount = 0;
+  let heldFrame = null;
+  let firstTimestamp = null;
+  let firstFrameAt = null;
+  let flushedAt = null;
+  // Writes run one at a time so resampling sees frames in order
+  let queue = Promise.resolve();
+  const enqueue = (fn) => (queue = queue.then(fn));
+
+  const push = async (buffer) => {
+    firstFrameAt ??= Date.now();
+    if (!frames.write(buffer)) {
+      await Promise.race([once(frames, "drain"), exited]);
+    }
+    frameCount++;
+  };
+
+  return {
+    mode: "stream",
+    framesDir: null,
+    fps,
+    bytesOnDisk: 0,
+    get frameCount() {
+      return frameCount;
+    },
+    write(buffer, timestamp) {
+      return enqueue(async () => {
+        if (timestamp === undefined) return push(buffer);
+        firstTimestamp ??= timestamp;
+        const slot = Math.round((timestamp - firstTimestamp) * fps);
+        while (heldFrame && frameCount < slot) await push(heldFrame);
+        heldFrame = buffer;
+      });
+    },
+    flush(endTimestamp) {
+      return enqueue(async () => {
+        if (heldFrame) {
+          const lastSlot =
+            endTimestamp === undefined
+              ? frameCount + 1
+              : Math.max(
+                  Math.round((endTimestamp - firstTimestamp) * fps),
+                  frameCount + 1
+                );
+          while (frameCount < lastSlot) await push(heldFrame);
+          heldFrame = null;
+        }
+        flushedAt = Date.now();
+        frames.end();
+      });
+    },
+    async finish({ onProgress = () => {} } = {}) {
+      await queue;
+      onEncodeProgress = (count) => onProgress(count / frameCount);
+      onEncodeProgress(framesEncoded);
+      await encoding;
+      const finishedAt = Date.now();
+      log.info("Streamed encode finished", {
+        frameCount,
+        encodeWaitMs: finishedAt - flushedAt,
+      });
+      return {
+        encodeWaitMs: finishedAt - flushedAt,
+        timeSavedMs: firstFrameAt ? flushedAt - firstFrameAt : 0,
+      };
+    },
+    async abort() {
+      controller.abort();
+      frames.destroy();
+      await encoding.catch(() => {});
+    },
+  };
+}
+
+/**
+ * Encodes captured frames into one output. `capture` describes the frames
+ * on disk: { framesDir, frameFormat, frameCount, fps }.
+ */
+export async function stitchFramesToVideo(
+  capture,
+  outputPath,
+  output,
+  { signal, onProgress = () => {} } = {}
+) {
+  log.info("Encoding output", {
+    output: output.name,
+    format: output.format,
+    quality: output.quality,
+    frameCount: capture.frameCount,
+    fps: capture.fps,
+    outputPath,
+  });
+
+  const extension = capture.frameFormat === "png" ? "png" : "jpg";
+  const inputArgs = [
+    "-framerate",
+    capture.fps.toString(),
+    "-i",
+    path.join(capture.framesDir, `frame_%06d.${extension}`),
+  ];
+  const expectedFrames = Math.ceil(
+    (capture.frameCount * (output.fps || capture.fps)) / capture.fps
+  );
+  const reportFrames = (frames) => onProgress(frames / expectedFrames);
+
+  if (output.format === "png-sequence") {
+    const sequenceDir = `${outputPath}.frames`;
+    await fs.mkdir(sequenceDir, { recursive: true });
+    await runFFmpeg(
+      [
+        ...inputArgs,
+        ...filterArgs(output),
+        "-y",
+        path.join(sequenceDir, "frame_%06d.png"),
+      ],
+      { signal, onFrames: reportFrames }
+    );
+    await zipDirectory(sequenceDir, outputPath);
+    await fs.rm(sequenceDir, { recursive: true, force: true });
+  } else if (output.format === "gif") {
+    await runFFmpeg(
+      [
+        ...inputArgs,
+        "-filter_complex",
+        gifFilterGraph(output),
+        "-y",
+        outputPath,
+      ],
+      { signal, onFrames: reportFrames }
+    );
+  } else {
+    await runFFmpeg(
+      [
+        ...inputArgs,
+        ...filterArgs(output),
+        ...codecArgs(output),
+        "-y",
+        outputPath,
+      ],
+      { signal, onFrames: reportFrames }
+    );
+  }
+
+  log.info("Encoded output", { output: output.name });
+}
+
+// Builds a palette from the clip itself, then maps frames onto it. A graph
+// that shares FFmpeg with other outputs gets an `id`, which labels its input
+// as [0:v] and its result as [<id>].
+function gifFilterGraph(output, id = "") {
+  const { maxColors, dither } = QUALITY_SETTINGS.gif[output.quality];
+  const filters = videoFilters(output, "lanczos");
+  const [a, b, p] = ["a", "b", "p"].map((name) => `[${id}${name}]`);
+  return [
+    `${id ? "[0:v]" : ""}${filters.length > 0 ? `${filters.join(",")},` : ""}split${a}${b}`,
+    `${a}palettegen=max_colors=${maxColors}:reserve_transparent=${output.transparent ? 1 : 0}${p}`,
+    `${b}${p}paletteuse=dither=${dither}${id ? `[${id}]` : ""}`,
+  ].join(";");
+}
+
+function codecArgs(output) {
+  const settings = QUALITY_SETTINGS[output.format][output.quality];
+
+  switch (output.format) {
+    case "webm":
+      return [
+        "-c:v",
+        "libvpx-vp9",
+        "-b:v",
+        "0",
+        "-crf",
+        settings.crf.toString(),
+        "-row-mt",
+        "1",
+        "-pix_fmt",
+        output.transparent ? "yuva420p" : "yuv420p",
+      ];
+    case "prores":
+      // ProRes 4444 keeps the alpha channel
+      return [
+        "-c:v",
+        "prores_ks",
+        "-profile:v",
+        "4",
+        "-qscale:v",
+        settings.qscale.toString(),
+        "-pix_fmt",
+        output.transparent ? "yuva444p10le" : "yuv444p10le",
+        "-vendor",
+        "apl0",
+      ];
+    default:
+      return [
+        "-c:v",
+        "libx264",
+        "-preset",
+        "fast",
+        "-crf",
+        settings.crf.toString(),
+        "-pix_fmt",
+        "yuv420p",
+        "-movflags",
+        "+faststart",
+      ];
+  }
+}
+
+function filterArgs(output) {
+  const filters = videoFilters(output, "bicubic");
+  return filters.length > 0 ? ["-vf", filters.join(",")] : [];
+}
+
+function videoFilters(output, scaleFlags) {
+  const filters = [];
+  if (output.fps) filters.push(`fps=${output.fps}`);
+  if (output.width || output.height) {
+    // -2 keeps the aspect ratio while rounding to the even sizes yuv420p needs
+    const width = output.width ?? -2;
+    const height = output.height ?? -2;
+    filters.push(`scale=${width}:${height}:flags=${scaleFlags}`);
+  }
+  return filters;
+}
+
+/**
+ * Runs FFmpeg, resolving with the end of its stderr. `onFrames` receives
+ * the encoded frame count as FFmpeg reports it; aborting `signal` kills the
+ * process. `stdin`, when given, is a stream piped into FFmpeg's standard
+ * input. Every run's stderr goes into the job's diagnostics.
+ */
+export function runFFmpeg(args, { signal, onFrames = () => {}, stdin } = {}) {
+  const diagnostics = getDiagnostics();
+  return new Promise((resolve, reject) => {
+    // Nothing is kept from an aborted encode, so there is no point in letting
+    // a stalled FFmpeg shut down cleanly
+    const ffmpeg = spawn("ffmpeg", args, { signal, killSignal: "SIGKILL" });
+    if (stdin) {
+      // A dying FFmpeg breaks the pipe; its exit code is the error to report
+      ffmpeg.stdin.on("error", () => {});
+      stdin.pipe(ffmpeg.stdin);
+    }
+
+    let stderrOutput = "";
+    // Set when FFmpeg could not start or was killed; "close" still follows
+    let spawnError = null;
+    ffmpeg.stderr.on("data", (data) => {
+      const output = data.toString();
+      stderrOutput = (stderrOutput + output).slice(-MAX_STDERR_LENGTH);
+      ffmpegLog.debug(output.trimEnd());
+
+      const progressMatch = output.match(/frame=\s*(\d+)/);
+      if (progressMatch) onFrames(parseInt(progressMatch[1], 10));
+    });
+
+    ffmpeg.on("close", (code) => {
+      diagnostics?.recordFFmpeg({
+        args,
+        exitCode: code,
+        stderr: spawnError
+          ? `${stderrOutput}${spawnError.message}`
+          : stderrOutput,
+      });
+      if (code === 0) {
+        resolve(stderrOutput);
+      } else {
+        reject(
+          new Error(
+            `FFmpeg failed with code ${code}. Output: ${stderrOutput.slice(
+              -MAX_ERROR_OUTPUT_LENGTH
+            )}`
+          )
+        );
+      }
+    });
+
+    ffmpeg.on("error", (error) => {
+      spawnError = error;
+      reject(new Error(`FFmpeg error: ${error.message}`));
+    });
+  });
+}
+
+/**
+ * Writes the files in `sourceDir` to a zip at `zipPath`, without the
+ * directory itself as a top-level folder.
+ */
+export async function zipDirectory(sourceDir, zipPath) {
+  const archive = archiver("zip", { zlib: { level: 6 } });
+  archive.directory(sourceDir, false);
+  const done = pipeline(archive, createWriteStream(zipPath));
+  await archive.finalize();
+  await done;
+}
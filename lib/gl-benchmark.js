@@ -0,0 +1,237 @@
+import { promises as fs } from "fs";
+import { BENCHMARK_SCENES } from "./benchmark-scenes.js";
+
+export const BENCHMARK_DEFAULTS = {
+  durationMs: 5000,
+  warmupMs: 1000,
+  viewport: { width: 1280, height: 720 },
+};
+
+/**
+ * Renders each reference scene under each launch profile and measures it.
+ * `launch(profile)` must resolve to a Puppeteer browser. A profile that
+ * fails to launch, or a scene that fails to render (e.g. no WebGL), is
+ * reported with an `error` instead of stopping the run, so the benchmark also
+ * completes on CPU-only machines. `onProgress({ profile, scene })` is called
+ * before each scene starts.
+ */
+export async function runGlBenchmark({
+  launch,
+  profiles,
+  scenes = Object.keys(BENCHMARK_SCENES),
+  durationMs = BENCHMARK_DEFAULTS.durationMs,
+  warmupMs = BENCHMARK_DEFAULTS.warmupMs,
+  viewport = BENCHMARK_DEFAULTS.viewport,
+  onProgress = () => {},
+}) {
+  for (const scene of scenes) {
+    if (!BENCHMARK_SCENES[scene]) throw new Error(`Unknown scene: ${scene}`);
+  }
+
+  const results = [];
+  for (const profile of profiles) {
+    let browser = null;
+    try {
+      browser = await launch(profile);
+      const sceneResults = [];
+      for (const scene of scenes) {
+        onProgress({ profile, scene });
+        sceneResults.push(
+          await benchmarkScene(browser, scene, {
+            durationMs,
+            warmupMs,
+            viewport,
+          })
+        );
+      }
+      results.push({
+        profile,
+        browserVersion: await browser.version(),
+        scenes: sceneResults,
+      });
+    } catch (error) {
+      results.push({ profile, error: error.message });
+    } finally {
+      await browser?.close().catch(() => {});
+    }
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    durationMs,
+    warmupMs,
+    viewport,
+    results,
+  };
+}
+
+async function benchmarkScene(
+  browser,
+  scene,
+  { durationMs, warmupMs, viewport }
+) {
+  const page = await browser.newPage();
+  const pageErrors = [];
+  page.on("pageerror", (error) => pageErrors.push(error.message));
+
+  try {
+    await page.setViewport(viewport);
+    await page.evaluateOnNewDocument(recordFrameTimes);
+    await page.setContent(BENCHMARK_SCENES[scene], { waitUntil: "load" });
+    await sleep(warmupMs);
+    if (pageErrors.length > 0) {
+      return { scene, error: pageErrors[0] };
+    }
+
+    const pageSession = await page.createCDPSession();
+    const browserSession = await browser.target().createCDPSession();
+    await pageSession.send("Performance.enable");
+
+    let screencastFrames = 0;
+    pageSession.on("Page.screencastFrame", ({ sessionId }) => {
+      screencastFrames++;
+      pageSession
+        .send("Page.screencastFrameAck", { sessionId })
+        .catch(() => {});
+    });
+
+    const processesBefore = await processCpuTimes(browserSession);
+    const metricsBefore = await performanceMetrics(pageSession);
+    await pageSession.send("Page.startScreencast", {
+      format: "jpeg",
+      quality: 80,
+      maxWidth: viewport.width,
+      maxHeight: viewport.height,
+    });
+    await page.evaluate(() => globalThis.__benchmark.start());
+
+    await sleep(durationMs);
+
+    const frameTimes = await page.evaluate(() => globalThis.__benchmark.stop());
+    await pageSession.send("Page.stopScreencast");
+    const metricsAfter = await performanceMetrics(pageSession);
+    const processesAfter = await processCpuTimes(browserSession);
+    const memory = await processMemory(processesAfter);
+    await pageSession.detach().catch(() => {});
+    await browserSession.detach().catch(() => {});
+
+    const intervals = frameTimes
+      .slice(1)
+      .map((time, i) => time - frameTimes[i]);
+    const measuredMs = frameTimes.at(-1) - frameTimes[0];
+
+    return {
+      scene,
+      frames: frameTimes.length,
+      fps:
+        measuredMs > 0
+          ? round(((frameTimes.length - 1) * 1000) / measuredMs)
+          : 0,
+      frameTimeMs: {
+        p50: round(percentile(intervals, 50)),
+        p95: round(percentile(intervals, 95)),
+        p99: round(percentile(intervals, 99)),
+        max: round(Math.max(0, ...intervals)),
+      },
+      screencast: {
+        frames: screencastFrames,
+        fps: round((screencastFrames * 1000) / durationMs),
+        // Frames the page painted that never reached the screencast
+        dropped: Math.max(frameTimes.length - screencastFrames, 0),
+      },
+      cpuSeconds: cpuDelta(processesBefore, processesAfter),
+      rendererMainThreadSeconds: round(
+        metricsAfter.TaskDuration - metricsBefore.TaskDuration
+      ),
+      memoryMb: {
+        jsHeapUsed: round(metricsAfter.JSHeapUsedSize / 1024 / 1024),
+        ...memory,
+      },
+      ...(pageErrors.length > 0 && { pageErrors }),
+    };
+  } catch (error) {
+    return { scene, error: error.message };
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+// Runs in the page before the scene; records a timestamp per painted frame
+// between start() and stop()
+function recordFrameTimes() {
+  let recording = false;
+  let times = [];
+  const tick = (time) => {
+    if (recording) times.push(time);
+    requestAnimationFrame(tick);
+  };
+  requestAnimationFrame(tick);
+  globalThis.__benchmark = {
+    start() {
+      times = [];
+      recording = true;
+    },
+    stop() {
+      recording = false;
+      return times;
+    },
+  };
+}
+
+async function performanceMetrics(session) {
+  const { metrics } = await session.send("Performance.getMetrics");
+  return Object.fromEntries(metrics.map(({ name, value }) => [name, value]));
+}
+
+// Cumulative CPU time of every Chrome process: browser, GPU and renderers
+async function processCpuTimes(browserSession) {
+  const { processInfo } = await browserSession.send(
+    "SystemInfo.getProcessInfo"
+  );
+  return processInfo;
+}
+
+function cpuDelta(before, after) {
+  const previous = new Map(before.map(({ id, cpuTime }) => [id, cpuTime]));
+  const byType = {};
+  let total = 0;
+  for (const { id, type, cpuTime } of after) {
+    const delta = cpuTime - (previous.get(id) ?? 0);
+    byType[type] = round((byType[type] ?? 0) + delta);
+    total += delta;
+  }
+  return { total: round(total), byType };
+}
+
+// Resident memory per process type, where /proc is available (Linux)
+async function processMemory(processes) {
+  const rssByType = {};
+  for (const { id, type } of processes) {
+    try {
+      const status = await fs.readFile(`/proc/${id}/status`, "utf8");
+      const rssKb = Number(status.match(/^VmRSS:\s+(\d+)/m)?.[1] ?? 0);
+      rssByType[type] = round((rssByType[type] ?? 0) + rssKb / 1024);
+    } catch {
+      return {};
+    }
+  }
+  return { rssByType };
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(
+    Math.ceil((p / 100) * sorted.length) - 1,
+    sorted.length - 1
+  );
+  return sorted[Math.max(index, 0)];
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,178 @@
+// Chrome flags shared by every GPU profile
+const BASE_ARGS = [
+  "--no-sandbox",
+  "--disable-setuid-sandbox",
+  "--disable-extensions",
+  "--disable-sync",
+  "--disable-translate",
+  "--no-first-run",
+  "--mute-audio",
+  "--force-device-scale-factor=2",
+  "--high-dpi-support=1",
+  "--font-render-hinting=full",
+  "--enable-font-antialiasing",
+  "--disable-lcd-text",
+  "--enable-accelerated-2d-canvas",
+  "--enable-zero-copy",
+  "--disable-web-security",
+  "--allow-running-insecure-content",
+  "--autoplay-policy=no-user-gesture-required",
+  "--disable-background-media-suspend",
+  "--disable-backgrounding-occluded-windows",
+  "--headless=new",
+  "--enable-webgl",
+  "--enable-webgl2-compute-context",
+  "--ignore-gpu-blacklist",
+  "--ignore-gpu-blocklist",
+  "--disable-frame-rate-limit",
+  "--disable-gpu-vsync",
+];
+
+// Hardware flags for the profiles that try to use a real GPU
+const HARDWARE_ARGS = [
+  "--enable-gpu",
+  "--enable-accelerated-video-decode",
+  "--enable-accelerated-video-encode",
+  "--enable-hardware-overlays",
+  "--enable-gpu-memory-buffer-video-frames",
+  "--enable-native-gpu-memory-buffers",
+  "--enable-features=VaapiVideoEncoder,VaapiVideoDecoder",
+];
+
+/**
+ * Launch flag sets to compare. "angle" is the set the GPU test service has
+ * always used; "egl" talks to the system EGL driver without ANGLE and
+ * "swiftshader" is the CPU fallback.
+ */
+export const GPU_PROFILES = {
+  angle: [
+    ...BASE_ARGS,
+    ...HARDWARE_ARGS,
+    "--use-gl=angle",
+    "--use-angle=gl-egl",
+    "--disable-software-rasterizer",
+  ],
+  egl: [
+    ...BASE_ARGS,
+    ...HARDWARE_ARGS,
+    "--use-gl=egl",
+    "--disable-software-rasterizer",
+  ],
+  swiftshader: [
+    ...BASE_ARGS,
+    "--use-gl=angle",
+    "--use-angle=swiftshader",
+    "--enable-unsafe-swiftshader",
+  ],
+};
+
+export const DEFAULT_GPU_PROFILE = "angle";
+
+/**
+ * Builds the JSON GPU report for a running browser: Chrome's feature status
+ * table, GL strings, the ANGLE backend, driver bug workarounds and a WebGL /
+ * WebGL2 probe run in a fresh page.
+ */
+export async function collectGpuReport(browser) {
+  const session = await browser.target().createCDPSession();
+  let info;
+  try {
+    info = await session.send("SystemInfo.getInfo");
+  } finally {
+    await session.detach().catch(() => {});
+  }
+
+  const { gpu } = info;
+  const aux = gpu.auxAttributes || {};
+  const glRenderer = aux.glRenderer ?? aux.gl_renderer ?? null;
+
+  const page = await browser.newPage();
+  let webgl;
+  try {
+    webgl = await page.evaluate(probeWebGL);
+  } finally {
+    await page.close().catch(() => {});
+  }
+
+  return {
+    browserVersion: await browser.version(),
+    featureStatus: gpu.featureStatus || {},
+    gl: {
+      renderer: glRenderer,
+      vendor: aux.glVendor ?? aux.gl_vendor ?? null,
+      version: aux.glVersion ?? aux.gl_version ?? null,
+      angleBackend: parseAngleBackend(glRenderer),
+    },
+    devices: (gpu.devices || []).map((device) => ({
+      vendor: device.vendorString,
+      device: device.deviceString,
+      driverVendor: device.driverVendor,
+      driverVersion: device.driverVersion,
+    })),
+    driverBugWorkarounds: gpu.driverBugWorkarounds || [],
+    webgl,
+    hardwareAccelerated: isHardwareAccelerated(gpu.featureStatus, webgl),
+  };
+}
+
+/**
+ * Pulls the rendering backend out of an ANGLE renderer string such as
+ * "ANGLE (Google, Vulkan 1.3.0 (SwiftShader Device (Subzero)), SwiftShader
+ * driver)". Returns null when the renderer is not ANGLE.
+ */
+export function parseAngleBackend(renderer) {
+  if (!renderer || !renderer.startsWith("ANGLE (")) return null;
+
+  const backend = renderer.match(
+    /\b(Vulkan|OpenGL ES|OpenGL|Direct3D11|Direct3D9|D3D11|D3D9|Metal)\b/
+  )?.[1];
+  return {
+    api: backend ?? null,
+    software: /SwiftShader|llvmpipe|softpipe/i.test(renderer),
+  };
+}
+
+// WebGL is hardware accelerated when Chrome says so and the probe did not
+// land on a software rasterizer
+function isHardwareAccelerated(featureStatus = {}, webgl) {
+  const status = featureStatus.webgl || "";
+  return (
+    status.startsWith("enabled") &&
+    !status.includes("software") &&
+    Boolean(webgl.webgl.supported) &&
+    !webgl.webgl.majorPerformanceCaveat &&
+    !/SwiftShader|llvmpipe|softpipe/i.test(webgl.webgl.renderer || "")
+  );
+}
+
+// Runs in the page
+function probeWebGL() {
+  const probe = (type) => {
+    const gl = document.createElement("canvas").getContext(type);
+    if (!gl) return { supported: false };
+
+    const debugInfo = gl.getExtension("WEBGL_debug_renderer_info");
+    const result = {
+      supported: true,
+      version: gl.getParameter(gl.VERSION),
+      shadingLanguageVersion: gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
+      vendor: debugInfo
+        ? gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL)
+        : gl.getParameter(gl.VENDOR),
+      renderer: debugInfo
+        ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL)
+        : gl.getParameter(gl.RENDERER),
+      maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
+      maxViewportDims: Array.from(gl.getParameter(gl.MAX_VIEWPORT_DIMS)),
+      extensions: gl.getSupportedExtensions() || [],
+      // Chrome refuses this context when it would fall back to software
+      majorPerformanceCaveat: !document
+        .createElement("canvas")
+        .getContext(type, { failIfMajorPerformanceCaveat: true }),
+    };
+    gl.getExtension("WEBGL_lose_context")?.loseContext();
+    return result;
+  };
+
+  return { webgl: probe("webgl"), webgl2: probe("webgl2") };
+}
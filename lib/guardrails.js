@@ -0,0 +1,270 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("Guardrails");
+
+// Prefix of the per-job temp directories; anything matching is swept once
+// it is older than any job could run
+export const JOB_DIR_PREFIX = "job-";
+
+// Each worker process keeps its job directories in a directory of its own
+// under the temp dir, named after its host and process id, so sweeping never
+// touches another worker's jobs
+const WORKER_DIR_PREFIX = "render-worker-";
+
+/**
+ * A job ran past its overall deadline or one of its phase deadlines.
+ * `phase` is the phase it was in at the time.
+ */
+export class JobTimeoutError extends Error {
+  constructor(phase, timeoutMs, { overall = false } = {}) {
+    super(
+      overall
+        ? `Job timed out after ${formatSeconds(timeoutMs)} (in the ${phase} phase)`
+        : `The ${phase} phase timed out after ${formatSeconds(timeoutMs)}`
+    );
+    this.name = "JobTimeoutError";
+    this.phase = phase;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * A job went over one of the worker's resource limits, e.g. too many frames.
+ */
+export class ResourceLimitError extends Error {
+  constructor(limit, message) {
+    super(message);
+    this.name = "ResourceLimitError";
+    this.limit = limit;
+  }
+}
+
+const currentDeadline = new AsyncLocalStorage();
+
+/**
+ * Runs `fn(signal)` under an overall deadline of `timeoutMs`. `signal`
+ * aborts, with a JobTimeoutError as its reason, when the job or its current
+ * phase runs out of time, and follows the caller's `signal` otherwise.
+ * Everything the job starts must stop once it aborts; the deadline only
+ * decides when. Code running inside moves between phases with enterPhase.
+ */
+export async function runWithDeadline({ signal, timeoutMs }, fn) {
+  const controller = new AbortController();
+  const deadline = {
+    controller,
+    phase: "setup",
+    phaseTimer: null,
+  };
+  const overallTimer = setTimeout(() => {
+    log.error("Job deadline reached", { phase: deadline.phase, timeoutMs });
+    controller.abort(
+      new JobTimeoutError(deadline.phase, timeoutMs, { overall: true })
+    );
+  }, timeoutMs);
+
+  try {
+    return await currentDeadline.run(deadline, () =>
+      fn(
+        signal
+          ? AbortSignal.any([signal, controller.signal])
+          : controller.signal
+      )
+    );
+  } finally {
+    clearTimeout(overallTimer);
+    clearTimeout(deadline.phaseTimer);
+  }
+}
+
+/**
+ * Runs `fn` with phase deadlines of its own, for work that runs alongside
+ * other work of the same job (such as parallel segments): its enterPhase
+ * calls replace only each other's deadlines, not the caller's or those of
+ * other scopes. The overall deadline and the abort signal stay shared, and
+ * the job's reported phase is the one entered last in any scope.
+ */
+export async function runInPhaseScope(fn) {
+  const parent = currentDeadline.getStore();
+  if (!parent) return fn();
+
+  const scope = {
+    controller: parent.controller,
+    job: parent.job ?? parent,
+    phase: parent.phase,
+    phaseTimer: null,
+  };
+  try {
+    return await currentDeadline.run(scope, fn);
+  } finally {
+    clearTimeout(scope.phaseTimer);
+  }
+}
+
+/**
+ * Moves the current job (or phase scope) into `phase`, which must finish
+ * within `timeoutMs` (no limit when it is undefined). Replaces the previous
+ * phase's deadline; does nothing outside runWithDeadline.
+ */
+export function enterPhase(phase, timeoutMs) {
+  const deadline = currentDeadline.getStore();
+  if (!deadline || deadline.controller.signal.aborted) return;
+
+  deadline.phase = phase;
+  if (deadline.job) deadline.job.phase = phase;
+  clearTimeout(deadline.phaseTimer);
+  deadline.phaseTimer =
+    timeoutMs === undefined
+      ? null
+      : setTimeout(() => {
+          log.error("Phase deadline reached", { phase, timeoutMs });
+          deadline.controller.abort(new JobTimeoutError(phase, timeoutMs));
+        }, timeoutMs);
+}
+
+/**
+ * Frame and temp disk budget of one render, shared by every frame sink it
+ * writes to (e.g. one per segment). `charge` throws a ResourceLimitError
+ * once a limit is passed.
+ */
+export function createResourceBudget({ maxFrames, maxDiskBytes }) {
+  let frames = 0;
+  let diskBytes = 0;
+
+  return {
+    get frames() {
+      return frames;
+    },
+    get diskBytes() {
+      return diskBytes;
+    },
+    charge({ frames: addedFrames = 0, diskBytes: addedBytes = 0 }) {
+      frames += addedFrames;
+      diskBytes += addedBytes;
+      if (frames > maxFrames) {
+        throw new ResourceLimitError(
+          "frames",
+          `Capture exceeded the limit of ${maxFrames} frames`
+        );
+      }
+      if (diskBytes > maxDiskBytes) {
+        throw new ResourceLimitError(
+          "diskBytes",
+          `Capture exceeded the temp disk limit of ${maxDiskBytes} bytes`
+        );
+      }
+    },
+  };
+}
+
+/**
+ * Charges every frame written to `frameSink` to `budget`, failing the write
+ * that goes over it. Frames bound for disk also count against its disk
+ * limit. Returns the same sink.
+ */
+export function limitFrameSink(frameSink, budget) {
+  const write = frameSink.write;
+  frameSink.write = (buffer, timestamp) => {
+    budget.charge({
+      frames: 1,
+      diskBytes: frameSink.mode === "disk" ? buffer.length : 0,
+    });
+    return write(buffer, timestamp);
+  };
+  return frameSink;
+}
+
+/**
+ * Removes job directories in `dir` last modified more than `olderThanMs`
+ * ago, left behind by jobs that crashed or were killed. Directories in
+ * `active` (full paths) belong to running jobs and are kept however old
+ * they are, since a batch job may run for many job timeouts. Resolves to
+ * the number removed.
+ */
+export async function sweepJobDirs(dir, { olderThanMs, active = new Set() }) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    // No job has run yet
+    if (error.code === "ENOENT") return 0;
+    throw error;
+  }
+  let removed = 0;
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !entry.name.startsWith(JOB_DIR_PREFIX)) {
+      continue;
+    }
+    const jobDir = path.join(dir, entry.name);
+    if (active.has(jobDir)) continue;
+    try {
+      const { mtimeMs } = await fs.stat(jobDir);
+      if (Date.now() - mtimeMs < olderThanMs) continue;
+      await fs.rm(jobDir, { recursive: true, force: true });
+      removed++;
+    } catch (error) {
+      log.warn("Could not remove job directory", { jobDir, error });
+    }
+  }
+  if (removed > 0) log.info("Swept orphaned job directories", { removed });
+  return removed;
+}
+
+/**
+ * Name of the directory under the temp dir that holds the job directories
+ * of process `pid` on `hostname`.
+ */
+export function workerDirName(hostname = os.hostname(), pid = process.pid) {
+  return `${WORKER_DIR_PREFIX}${hostname.replace(/[^A-Za-z0-9.-]/g, "_")}-${pid}`;
+}
+
+/**
+ * Removes the worker directories in `dir` left behind by stopped workers on
+ * this host: the one named after `pid`, which can only be a previous
+ * process's with the same id (such as a restarted container's), and those
+ * of processes that are no longer running. Other hosts' workers may share
+ * the temp dir but cannot be checked from here, so theirs are kept.
+ * Resolves to the number removed.
+ */
+export async function sweepWorkerDirs(
+  dir,
+  { hostname = os.hostname(), pid = process.pid } = {}
+) {
+  const hostPrefix = workerDirName(hostname, "");
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  let removed = 0;
+  for (const entry of entries) {
+    const ownerPid = entry.name.startsWith(hostPrefix)
+      ? entry.name.slice(hostPrefix.length)
+      : "";
+    if (!entry.isDirectory() || !/^\d+$/.test(ownerPid)) continue;
+    if (Number(ownerPid) !== pid && isRunning(Number(ownerPid))) continue;
+
+    const workerDir = path.join(dir, entry.name);
+    try {
+      await fs.rm(workerDir, { recursive: true, force: true });
+      removed++;
+    } catch (error) {
+      log.warn("Could not remove worker directory", { workerDir, error });
+    }
+  }
+  if (removed > 0) log.info("Swept stopped workers' directories", { removed });
+  return removed;
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: running, but as another user
+    return error.code === "EPERM";
+  }
+}
+
+function formatSeconds(ms) {
+  return `${Math.round(ms / 100) / 10}s`;
+}
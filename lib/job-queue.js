@@ -0,0 +1,130 @@
+import { randomUUID } from "crypto";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("Queue");
+
+const FINISHED_STATES = new Set(["done", "failed", "cancelled"]);
+
+/**
+ * In-process render queue. Runs at most `concurrency` jobs at a time and
+ * tracks each job's state and progress so it can be polled or cancelled.
+ *
+ * `runJob(input, { signal, onProgress })` does the actual work; it must stop
+ * and reject once `signal` is aborted.
+ */
+export function createJobQueue(
+  runJob,
+  { concurrency = 1, retentionMs = 60 * 60 * 1000 } = {}
+) {
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  function submit(input) {
+    const job = {
+      id: randomUUID(),
+      input,
+      state: "queued",
+      frameCount: 0,
+      progress: 0,
+      result: null,
+      error: null,
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      controller: new AbortController(),
+    };
+
+    jobs.set(job.id, job);
+    pending.push(job);
+    log.info("Job queued", { queueJobId: job.id, pending: pending.length });
+    drain();
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job || FINISHED_STATES.has(job.state)) return job || null;
+
+    const pendingIndex = pending.indexOf(job);
+    if (pendingIndex !== -1) {
+      pending.splice(pendingIndex, 1);
+      finish(job, "cancelled", { error: "Job cancelled" });
+    } else {
+      log.info("Cancelling running job", { queueJobId: job.id });
+      job.controller.abort();
+    }
+    return job;
+  }
+
+  function stats() {
+    return { running, queued: pending.length, concurrency };
+  }
+
+  function drain() {
+    while (running < concurrency && pending.length > 0) {
+      run(pending.shift());
+    }
+  }
+
+  async function run(job) {
+    running++;
+    job.state = "rendering";
+    job.startedAt = new Date();
+    const { signal } = job.controller;
+
+    try {
+      const result = await runJob(job.input, {
+        signal,
+        onProgress: (update) => {
+          if (!signal.aborted) Object.assign(job, update);
+        },
+      });
+      finish(job, "done", { result, progress: 100 });
+    } catch (error) {
+      finish(job, signal.aborted ? "cancelled" : "failed", {
+        error: signal.aborted ? "Job cancelled" : error.message,
+      });
+    } finally {
+      running--;
+      drain();
+    }
+  }
+
+  function finish(job, state, fields) {
+    Object.assign(job, fields, { state, finishedAt: new Date() });
+    log.info(`Job ${state}`, { queueJobId: job.id, state });
+
+    // Forget finished jobs after a while so the map doesn't grow forever
+    setTimeout(() => jobs.delete(job.id), retentionMs).unref();
+  }
+
+  return { submit, get, cancel, stats };
+}
+
+export function isFinished(job) {
+  return FINISHED_STATES.has(job.state);
+}
+
+/**
+ * Public view of a job for the HTTP API.
+ */
+export function serializeJob(job) {
+  return {
+    id: job.id,
+    jobId: job.input?.jobId,
+    state: job.state,
+    frameCount: job.frameCount,
+    progress: job.progress,
+    result: job.result,
+    webhookDeliveries: job.webhookDeliveries || [],
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
@@ -0,0 +1,91 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+// Fields (jobId, phase) attached to every line logged while a job runs, even
+// when several jobs interleave
+const logContext = new AsyncLocalStorage();
+let minLevel = LOG_LEVELS.indexOf("info");
+
+/**
+ * Sets the lowest level that is written. Browser console output is logged at
+ * "debug", so it is only kept with LOG_LEVEL=debug.
+ */
+export function setLogLevel(level) {
+  const index = LOG_LEVELS.indexOf(level);
+  if (index === -1) {
+    throw new Error(
+      `Unknown log level "${level}", expected one of: ${LOG_LEVELS.join(", ")}`
+    );
+  }
+  minLevel = index;
+}
+
+export function isLevelEnabled(level) {
+  return LOG_LEVELS.indexOf(level) >= minLevel;
+}
+
+/**
+ * Runs `fn` with `fields` added to every line it logs, including from
+ * callbacks and promises it starts.
+ */
+export function runWithLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+/**
+ * Updates the fields of the current context, e.g. when a job moves to its
+ * next phase.
+ */
+export function setLogContext(fields) {
+  const store = logContext.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+/**
+ * A copy of the current context's fields (empty outside any job).
+ */
+export function getLogContext() {
+  return { ...logContext.getStore() };
+}
+
+/**
+ * Logger for one component. Each call writes a single JSON line:
+ *
+ *   {"time":"...","level":"info","component":"Worker","msg":"...","jobId":"...","phase":"capture",...}
+ *
+ * `fields` are merged into the line; an `error` field is expanded into its
+ * name, message and stack.
+ */
+export function createLogger(component) {
+  const log = (level) => (msg, fields) => write(level, component, msg, fields);
+  return {
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+  };
+}
+
+function write(level, component, msg, fields = {}) {
+  if (!isLevelEnabled(level)) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg,
+    ...logContext.getStore(),
+  };
+  for (const [key, value] of Object.entries(fields)) {
+    entry[key] = value instanceof Error ? serializeError(value) : value;
+  }
+
+  const stream =
+    level === "warn" || level === "error" ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+function serializeError(error) {
+  return { name: error.name, message: error.message, stack: error.stack };
+}
@@ -0,0 +1,154 @@
+import { createLogger } from "./logger.js";
+
+const log = createLogger("Mapbox");
+
+/**
+ * Prepares pages that use Mapbox GL JS. The access token is handed to the
+ * page as structured config rather than spliced into its HTML: when the
+ * page's `mapboxgl` global appears, the token is applied and any value the
+ * page assigns later is replaced with it. Every `mapboxgl.Map` created is
+ * tracked so recording can wait for its tiles.
+ *
+ * Must be called before the page navigates.
+ */
+export async function installMapboxHooks(page, { accessToken } = {}) {
+  await page.addInitScript(instrumentMapbox, {
+    accessToken: accessToken || null,
+  });
+}
+
+/**
+ * Waits until every tracked map has fired `idle` with its style and tiles
+ * loaded, or until `timeoutMs` passes. GSAP is held while waiting and
+ * restarted from the beginning afterwards, so the recording does not open on
+ * half-loaded tiles.
+ *
+ * Resolves to null when the page has no maps, otherwise to
+ * { ready, timedOut, waitedMs, maps: [{ readyMs, tilesLoaded, tileErrors,
+ * firstTileMs, lastTileMs }] } with times relative to each map's creation.
+ */
+export async function waitForMapsReady(page, { timeoutMs = 15000 } = {}) {
+  const mapCount = await page.evaluate(() => {
+    const maps = globalThis.__renderMaps || [];
+    if (maps.length > 0) globalThis.gsap?.globalTimeline.pause();
+    return maps.length;
+  });
+  if (mapCount === 0) return null;
+
+  log.info("Waiting for Mapbox maps to load tiles", { maps: mapCount });
+  const startedAt = Date.now();
+  let timedOut = false;
+  await page
+    .waitForFunction(
+      () => globalThis.__renderMaps.every((map) => map.readyMs !== null),
+      null,
+      { timeout: timeoutMs, polling: 100 }
+    )
+    .catch((error) => {
+      if (error.name !== "TimeoutError") throw error;
+      timedOut = true;
+      log.warn("Mapbox maps not idle in time, recording anyway", {
+        timeoutMs,
+      });
+    });
+  const waitedMs = Date.now() - startedAt;
+
+  const maps = await page.evaluate(() => {
+    const { gsap } = globalThis;
+    if (gsap) {
+      const startTimes = gsap.globalTimeline
+        .getChildren(false, true, true)
+        .map((child) => child.startTime() - child.delay());
+      gsap.globalTimeline.seek(
+        startTimes.length > 0 ? Math.min(...startTimes) : 0,
+        false
+      );
+      gsap.globalTimeline.resume();
+    }
+    return globalThis.__renderMaps.map(({ map, ...stats }) => stats);
+  });
+
+  log.info(timedOut ? "Mapbox wait timed out" : "Mapbox maps ready", {
+    waitedMs,
+  });
+  return { ready: !timedOut, timedOut, waitedMs, maps };
+}
+
+// Runs in the page before any of its scripts
+function instrumentMapbox({ accessToken }) {
+  const maps = [];
+  Object.defineProperty(globalThis, "__renderMaps", { value: maps });
+
+  const track = (map) => {
+    const createdAt = performance.now();
+    const stats = {
+      map,
+      readyMs: null,
+      tilesLoaded: 0,
+      tileErrors: 0,
+      firstTileMs: null,
+      lastTileMs: null,
+    };
+    maps.push(stats);
+    const elapsed = () => Math.round(performance.now() - createdAt);
+
+    map.on("data", (event) => {
+      if (event.dataType !== "source" || !event.tile) return;
+      stats.tilesLoaded++;
+      stats.firstTileMs ??= elapsed();
+      stats.lastTileMs = elapsed();
+    });
+    map.on("error", (event) => {
+      if (event.tile) stats.tileErrors++;
+    });
+    map.on("idle", () => {
+      if (
+        stats.readyMs === null &&
+        map.isStyleLoaded() &&
+        map.areTilesLoaded()
+      ) {
+        stats.readyMs = elapsed();
+      }
+    });
+  };
+
+  const instrument = (mapboxgl) => {
+    if (!mapboxgl || typeof mapboxgl.Map !== "function") return;
+
+    if (accessToken) {
+      // Keep the library's own setter so its internal config is updated
+      const descriptor =
+        Object.getOwnPropertyDescriptor(mapboxgl, "accessToken") || {};
+      const applyToken = descriptor.set
+        ? () => descriptor.set.call(mapboxgl, accessToken)
+        : () => {};
+      applyToken();
+      Object.defineProperty(mapboxgl, "accessToken", {
+        configurable: true,
+        enumerable: true,
+        get: () => accessToken,
+        set: applyToken,
+      });
+    }
+
+    const OriginalMap = mapboxgl.Map;
+    mapboxgl.Map = class extends OriginalMap {
+      constructor(...args) {
+        super(...args);
+        track(this);
+      }
+    };
+  };
+
+  // Mapbox GL's UMD bundle publishes itself by assigning `mapboxgl`
+  let current;
+  Object.defineProperty(globalThis, "mapboxgl", {
+    configurable: true,
+    enumerable: true,
+    get: () => current,
+    set: (value) => {
+      current = value;
+      instrument(value);
+    },
+  });
+}
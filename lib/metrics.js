@@ -0,0 +1,110 @@
+import client from "prom-client";
+
+// Everything served from GET /metrics
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: "render_worker_" });
+
+const SECONDS_BUCKETS = [0.1, 0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300, 600];
+
+export const jobsTotal = new client.Counter({
+  name: "render_jobs_total",
+  help: "Render jobs finished, by outcome",
+  labelNames: ["status"],
+  registers: [registry],
+});
+
+export const jobDuration = new client.Histogram({
+  name: "render_job_duration_seconds",
+  help: "Wall time of a render job from start to final webhook",
+  labelNames: ["status"],
+  buckets: SECONDS_BUCKETS,
+  registers: [registry],
+});
+
+export const batchRecordsTotal = new client.Counter({
+  name: "render_batch_records_total",
+  help: "Records of batch jobs finished, by outcome",
+  labelNames: ["status"],
+  registers: [registry],
+});
+
+export const renderCacheLookups = new client.Counter({
+  name: "render_cache_lookups_total",
+  help: "Render cache lookups, by outcome",
+  labelNames: ["outcome"],
+  registers: [registry],
+});
+
+export const phaseDuration = new client.Histogram({
+  name: "render_phase_duration_seconds",
+  help: "Time spent in each pipeline phase",
+  labelNames: ["phase"],
+  buckets: SECONDS_BUCKETS,
+  registers: [registry],
+});
+
+export const framesCaptured = new client.Counter({
+  name: "render_frames_captured_total",
+  help: "Frames captured from rendered pages",
+  labelNames: ["capture_mode"],
+  registers: [registry],
+});
+
+export const effectiveFps = new client.Histogram({
+  name: "render_effective_fps",
+  help: "Frame rate actually achieved by each capture",
+  labelNames: ["capture_mode"],
+  buckets: [5, 10, 15, 20, 24, 30, 45, 60, 90, 120],
+  registers: [registry],
+});
+
+export const encodeDuration = new client.Histogram({
+  name: "render_encode_duration_seconds",
+  help: "FFmpeg encode time per output",
+  labelNames: ["format"],
+  buckets: SECONDS_BUCKETS,
+  registers: [registry],
+});
+
+export const uploadBytes = new client.Counter({
+  name: "render_upload_bytes_total",
+  help: "Bytes uploaded to storage",
+  labelNames: ["backend"],
+  registers: [registry],
+});
+
+export const uploadDuration = new client.Histogram({
+  name: "render_upload_duration_seconds",
+  help: "Time to upload one file to storage",
+  labelNames: ["backend"],
+  buckets: SECONDS_BUCKETS,
+  registers: [registry],
+});
+
+export const webhookDeliveries = new client.Counter({
+  name: "render_webhook_deliveries_total",
+  help: "Webhook delivery attempts, by event and outcome",
+  labelNames: ["event", "outcome"],
+  registers: [registry],
+});
+
+export const webhookDeliveryDuration = new client.Histogram({
+  name: "render_webhook_delivery_duration_seconds",
+  help: "Time for one webhook delivery attempt",
+  labelNames: ["event"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry],
+});
+
+/**
+ * Runs `fn` and records how long it took in `histogram`, whether it resolves
+ * or rejects.
+ */
+export async function timed(histogram, labels, fn) {
+  const end = histogram.startTimer(labels);
+  try {
+    return await fn();
+  } finally {
+    end();
+  }
+}
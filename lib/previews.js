@@ -0,0 +1,291 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { runFFmpeg } from "./encoding.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("Previews");
+
+const MAX_THUMBNAIL_SIZES = 8;
+
+/**
+ * Validates the job's `previews` input and fills in defaults:
+ *
+ *   {
+ *     posterTime: seconds | "last",
+ *     thumbnailWidths: [320, 640],
+ *     sprite: { interval, columns, width } | false
+ *   }
+ *
+ * `previews: false` turns preview generation off.
+ */
+export function normalizePreviews(previews = {}) {
+  if (previews === false) return null;
+  if (typeof previews !== "object" || previews === null) {
+    throw new Error("previews must be an object or false");
+  }
+
+  const {
+    posterTime = 0,
+    thumbnailWidths = [320, 640],
+    sprite = {},
+  } = previews;
+
+  if (
+    posterTime !== "last" &&
+    !(typeof posterTime === "number" && posterTime >= 0)
+  ) {
+    throw new Error('previews.posterTime must be seconds or "last"');
+  }
+  if (
+    !Array.isArray(thumbnailWidths) ||
+    thumbnailWidths.length > MAX_THUMBNAIL_SIZES ||
+    !thumbnailWidths.every(isPositiveInteger)
+  ) {
+    throw new Error(
+      `previews.thumbnailWidths must be a list of up to ${MAX_THUMBNAIL_SIZES} positive integers`
+    );
+  }
+
+  let spriteOptions = null;
+  if (sprite !== false) {
+    const { interval = 1, columns = 10, width = 160 } = sprite || {};
+    if (!(typeof interval === "number" && interval > 0)) {
+      throw new Error("previews.sprite.interval must be a positive number");
+    }
+    if (!isPositiveInteger(columns) || !isPositiveInteger(width)) {
+      throw new Error(
+        "previews.sprite.columns and previews.sprite.width must be positive integers"
+      );
+    }
+    spriteOptions = { interval, columns, width };
+  }
+
+  return {
+    posterTime,
+    thumbnailWidths: [...new Set(thumbnailWidths)],
+    sprite: spriteOptions,
+  };
+}
+
+// Formats that keep every captured frame at full quality
+const PREVIEW_VIDEO_FORMATS = ["mp4", "webm", "prores"];
+
+/**
+ * The output whose encoded video can stand in for the captured frames when
+ * they were streamed: an MP4, WebM or ProRes output at the capture's own
+ * size and frame rate. Returns null when there is none, in which case the
+ * frames must be written to disk for previews.
+ */
+export function findPreviewOutput(outputs) {
+  return (
+    outputs.find(
+      ({ format, width, height, fps }) =>
+        PREVIEW_VIDEO_FORMATS.includes(format) &&
+        width === undefined &&
+        height === undefined &&
+        fps === undefined
+    ) ?? null
+  );
+}
+
+/**
+ * Builds the poster, thumbnails and scrubbing sprite from the captured
+ * frames in `capture.framesDir` or, when frames were streamed into the
+ * encoder instead, from the encoded video at `videoPath`. Returns the
+ * generated files as { name, path, contentType } plus their sizes for the
+ * result payload.
+ */
+export async function generatePreviews(
+  capture,
+  previews,
+  dimensions,
+  outputDir,
+  { signal, videoPath } = {}
+) {
+  await fs.mkdir(outputDir, { recursive: true });
+  const source = createFrameSource(capture, videoPath);
+
+  // 1. Poster at the requested time, clamped to the captured range
+  const posterFrame =
+    previews.posterTime === "last"
+      ? capture.frameCount - 1
+      : Math.min(
+          Math.floor(previews.posterTime * capture.fps),
+          capture.frameCount - 1
+        );
+  log.info("Generating previews", { posterFrame });
+
+  const poster = jpegFile(outputDir, "poster.jpg");
+  await runFFmpeg(
+    [
+      ...source.frame(posterFrame),
+      "-frames:v",
+      "1",
+      "-q:v",
+      "2",
+      "-y",
+      poster.path,
+    ],
+    { signal }
+  );
+
+  // 2. Thumbnails of the poster frame
+  const thumbnails = [];
+  for (const width of previews.thumbnailWidths) {
+    const height = evenHeight(width, dimensions);
+    const thumbnail = jpegFile(outputDir, `thumb-${width}.jpg`);
+    await runFFmpeg(
+      [
+        ...source.frame(posterFrame),
+        "-frames:v",
+        "1",
+        "-vf",
+        `scale=${width}:${height}:flags=lanczos`,
+        "-q:v",
+        "3",
+        "-y",
+        thumbnail.path,
+      ],
+      { signal }
+    );
+    thumbnails.push({ ...thumbnail, width, height });
+  }
+
+  // 3. Sprite sheet with one tile per interval, indexed by a WebVTT file
+  let sprite = null;
+  if (previews.sprite) {
+    sprite = await generateSprite(
+      capture,
+      source,
+      previews.sprite,
+      dimensions,
+      outputDir,
+      { signal }
+    );
+  }
+
+  return { poster, thumbnails, sprite };
+}
+
+async function generateSprite(
+  capture,
+  source,
+  { interval, columns, width },
+  dimensions,
+  outputDir,
+  { signal }
+) {
+  const duration = capture.frameCount / capture.fps;
+  const height = evenHeight(width, dimensions);
+  const tileCount = Math.max(Math.ceil(duration / interval), 1);
+  const rows = Math.ceil(tileCount / columns);
+  const tileColumns = Math.min(columns, tileCount);
+
+  const image = jpegFile(outputDir, "sprite.jpg");
+  await runFFmpeg(
+    [
+      ...source.sequence(),
+      "-vf",
+      `fps=1/${interval},scale=${width}:${height}:flags=lanczos,tile=${tileColumns}x${rows}`,
+      "-frames:v",
+      "1",
+      "-q:v",
+      "3",
+      "-y",
+      image.path,
+    ],
+    { signal }
+  );
+
+  // Cues point at tiles with media fragments relative to the VTT file, so
+  // both files must be stored side by side
+  const cues = [];
+  for (let tile = 0; tile < tileCount; tile++) {
+    const start = tile * interval;
+    const end = Math.min(start + interval, duration);
+    const x = (tile % tileColumns) * width;
+    const y = Math.floor(tile / tileColumns) * height;
+    cues.push(
+      `${formatVttTime(start)} --> ${formatVttTime(end)}\n${image.name}#xywh=${x},${y},${width},${height}`
+    );
+  }
+
+  const vtt = {
+    name: "sprite.vtt",
+    path: path.join(outputDir, "sprite.vtt"),
+    contentType: "text/vtt",
+  };
+  await fs.writeFile(vtt.path, `WEBVTT\n\n${cues.join("\n\n")}\n`, "utf8");
+
+  return {
+    image,
+    vtt,
+    interval,
+    columns: tileColumns,
+    rows,
+    tileWidth: width,
+    tileHeight: height,
+  };
+}
+
+// FFmpeg input arguments for one frame, or for all of them in order, read
+// from the frame files when there are any and from the video otherwise
+function createFrameSource(capture, videoPath) {
+  if (!capture.framesDir) {
+    if (!videoPath) throw new Error("Previews need frames or a video");
+    return {
+      // Seeking before the input is frame accurate when decoding
+      frame: (index) => [
+        "-ss",
+        (index / capture.fps).toFixed(6),
+        "-i",
+        videoPath,
+      ],
+      sequence: () => ["-i", videoPath],
+    };
+  }
+
+  const extension = capture.frameFormat === "png" ? "png" : "jpg";
+  return {
+    frame: (index) => [
+      "-i",
+      path.join(
+        capture.framesDir,
+        `frame_${index.toString().padStart(6, "0")}.${extension}`
+      ),
+    ],
+    sequence: () => [
+      "-framerate",
+      capture.fps.toString(),
+      "-i",
+      path.join(capture.framesDir, `frame_%06d.${extension}`),
+    ],
+  };
+}
+
+function jpegFile(outputDir, name) {
+  return { name, path: path.join(outputDir, name), contentType: "image/jpeg" };
+}
+
+// Keep the capture's aspect ratio with an even height for the encoders
+function evenHeight(width, dimensions) {
+  const height = Math.round((width * dimensions.height) / dimensions.width);
+  return Math.max(height + (height % 2), 2);
+}
+
+function formatVttTime(seconds) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(secs, 2)}.${pad(ms, 3)}`;
+}
+
+function pad(value, length) {
+  return value.toString().padStart(length, "0");
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
@@ -0,0 +1,122 @@
+import { createHash } from "crypto";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("RenderCache");
+
+// Bump when the manifest layout changes; older manifests then miss
+const MANIFEST_VERSION = 1;
+
+/**
+ * Content address of one rendered video: a SHA-256 over everything that
+ * decides what it looks like (page HTML, template data, viewports, capture
+ * and encoding settings after normalization) and the worker version. jobId,
+ * webhooks and `force` are left out, so identical requests share a key.
+ * Remote audio sources are keyed by URL, not by content.
+ */
+export function renderCacheKey(input, normalized, { workerVersion }) {
+  const fields = {
+    workerVersion,
+    htmlContent: input.animationCode.htmlContent,
+    data: input.data,
+    dimensions: input.dimensions,
+    variants: normalized.variants,
+    // With defaults applied, so leaving a setting out and sending its
+    // default render the same video under the same key
+    ...normalized.capture,
+    outputs: normalized.outputs,
+    audio: normalized.audio,
+    previews: normalized.previews,
+  };
+  return createHash("sha256").update(canonicalJson(fields)).digest("hex");
+}
+
+/**
+ * Render manifests kept in `storage` under `prefix`, one per cache key,
+ * listing the storage keys of a finished render's files with the details
+ * needed to describe it again. Lookups hand out fresh URLs, so presigned
+ * links in a cached result have not expired.
+ *
+ * Manifest problems are logged and treated as misses; the cache never fails
+ * a render.
+ */
+export function createRenderCache({ storage, prefix = "manifests/renders" }) {
+  const manifestKey = (cacheKey) => `${prefix}/${cacheKey}.json`;
+
+  // Resolves to { renderedAt, jobId, renders } or null on a miss. Each
+  // render has `uploaded` URLs in the shape storage.upload returns.
+  async function lookup(cacheKey) {
+    let manifest;
+    try {
+      manifest = await storage.readJson(manifestKey(cacheKey));
+    } catch (error) {
+      log.warn("Could not read render manifest", { cacheKey, error });
+      return null;
+    }
+    if (manifest?.version !== MANIFEST_VERSION) return null;
+
+    const renders = [];
+    for (const { keys, ...render } of manifest.renders) {
+      const uploaded = {};
+      for (const [name, key] of Object.entries(keys)) {
+        uploaded[name] = await storage.getUrl(key);
+      }
+      renders.push({ ...render, uploaded });
+    }
+    return { renderedAt: manifest.renderedAt, jobId: manifest.jobId, renders };
+  }
+
+  // Records uploaded `renders` ({ variant, capture, encodedFiles,
+  // previewFiles, pipeline, uploaded }) as the result for `cacheKey`
+  async function save(cacheKey, renders, { jobId, renderedAt }) {
+    const manifest = {
+      version: MANIFEST_VERSION,
+      cacheKey,
+      jobId,
+      renderedAt,
+      renders: renders.map(
+        ({
+          variant,
+          capture,
+          encodedFiles,
+          previewFiles,
+          pipeline,
+          uploaded,
+        }) => ({
+          variant,
+          capture: {
+            duration: capture.duration,
+            assetCache: capture.assetCache,
+            mapbox: capture.mapbox,
+            blockedRequests: capture.blockedRequests,
+          },
+          encodedFiles: encodedFiles.map(({ output }) => ({ output })),
+          previewFiles,
+          pipeline,
+          keys: Object.fromEntries(
+            Object.entries(uploaded).map(([name, { key }]) => [name, key])
+          ),
+        })
+      ),
+    };
+    try {
+      await storage.writeJson(manifestKey(cacheKey), manifest);
+    } catch (error) {
+      log.warn("Could not write render manifest", { cacheKey, error });
+    }
+  }
+
+  return { lookup, save };
+}
+
+// JSON with object keys sorted, so equal values always hash the same
+function canonicalJson(value) {
+  return JSON.stringify(value, (key, nested) =>
+    nested && typeof nested === "object" && !Array.isArray(nested)
+      ? Object.fromEntries(
+          Object.keys(nested)
+            .sort()
+            .map((name) => [name, nested[name]])
+        )
+      : nested
+  );
+}
@@ -0,0 +1,243 @@
+import { promises as dns } from "dns";
+import net from "net";
+import { matchesHost } from "./asset-cache.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("Sandbox");
+
+// Isolated origin the animation page is served from in sandboxed mode. It
+// never reaches the network: requests for it are answered from the job's
+// HTML, so the page runs with a real origin and web security on instead of
+// a file:// URL next to the worker's files.
+export const SANDBOX_ORIGIN = "https://render.sandbox";
+export const SANDBOX_PAGE_URL = `${SANDBOX_ORIGIN}/animation.html`;
+
+// Blocked requests kept per job; the count is always exact
+const MAX_RECORDED_BLOCKS = 100;
+
+/**
+ * Guards a page running untrusted HTML. Serves `htmlContent` at
+ * SANDBOX_PAGE_URL and lets other requests through only when they go over
+ * http(s) to a host in `allowedHosts` that does not resolve to a private or
+ * loopback address. Everything else is aborted and recorded.
+ *
+ * Register this after any other `page.route` handler (such as the asset
+ * cache): allowed requests fall back to the earlier handlers.
+ */
+export async function applySandbox(page, htmlContent, { allowedHosts }) {
+  const blocked = [];
+  let blockedCount = 0;
+  // hostname -> Promise<reason | null>, so each host is resolved once
+  const hostChecks = new Map();
+
+  const block = (url, reason) => {
+    blockedCount++;
+    if (blocked.length < MAX_RECORDED_BLOCKS) blocked.push({ url, reason });
+    log.warn("Blocked request", { url, reason });
+  };
+
+  const checkUrl = async (url) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return "invalid URL";
+    }
+    if (!["http:", "https:", "ws:", "wss:"].includes(parsed.protocol)) {
+      return `${parsed.protocol} URLs are not allowed`;
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+    if (!allowedHosts.some((pattern) => matchesHost(hostname, pattern))) {
+      return "host is not on the egress allowlist";
+    }
+    if (!hostChecks.has(hostname)) {
+      hostChecks.set(hostname, checkAddresses(hostname));
+    }
+    return hostChecks.get(hostname);
+  };
+
+  await page.route("**/*", async (route) => {
+    const url = route.request().url();
+    if (url === SANDBOX_PAGE_URL) {
+      return route.fulfill({
+        status: 200,
+        contentType: "text/html; charset=utf-8",
+        body: htmlContent,
+      });
+    }
+
+    const reason = url.startsWith(`${SANDBOX_ORIGIN}/`)
+      ? "not found"
+      : await checkUrl(url);
+    if (reason) {
+      block(url, reason);
+      return route.abort("blockedbyclient").catch(() => {});
+    }
+    return route.fallback();
+  });
+
+  await page.routeWebSocket(/.*/, async (ws) => {
+    const reason = await checkUrl(ws.url());
+    if (reason) {
+      block(ws.url(), reason);
+      return ws.close({ code: 1008, reason: "Blocked by sandbox" });
+    }
+    ws.connectToServer();
+  });
+
+  return {
+    blockedRequests: () => ({ count: blockedCount, requests: [...blocked] }),
+  };
+}
+
+// Resolves the host and refuses it when any address is internal, so an
+// allowlisted name cannot be pointed at the worker's network
+async function checkAddresses(hostname) {
+  if (isInternalHostname(hostname)) return "private address";
+
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.lookup(hostname, { all: true });
+  } catch {
+    // Nothing to reach on the network, but the asset cache may still have a
+    // copy (e.g. in offline mode)
+    return null;
+  }
+  return addresses.some(({ address }) => isPrivateAddress(address))
+    ? "private address"
+    : null;
+}
+
+/**
+ * DNS lookup for server-side fetches of job-supplied URLs, such as audio
+ * sources: resolves `hostname` to one { address, family } and rejects when it
+ * is, or resolves to, an internal address. As the `lookup` of an axios
+ * request it also covers redirects and DNS answers that change after a check.
+ */
+export async function lookupPublicAddress(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, "$1");
+  const addresses = isInternalHostname(host)
+    ? []
+    : net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.lookup(host, { all: true });
+  if (
+    addresses.length === 0 ||
+    addresses.some(({ address }) => isPrivateAddress(address))
+  ) {
+    throw new Error(`Refusing to connect to a private address: ${hostname}`);
+  }
+  return addresses[0];
+}
+
+/**
+ * True for localhost names and internal IP literals, the hosts that are
+ * internal without a DNS lookup.
+ */
+export function isInternalHostname(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, "$1");
+  return (
+    host === "localhost" ||
+    host.endsWith(".localhost") ||
+    (net.isIP(host) !== 0 && isPrivateAddress(host))
+  );
+}
+
+/**
+ * True for loopback, private, link-local, CGNAT, unspecified and other
+ * non-public IPv4/IPv6 addresses. IPv6 addresses that carry an IPv4 one
+ * (mapped, compatible, NAT64, 6to4 and Teredo) are judged by that address,
+ * whichever way they are written.
+ */
+export function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split(".").map(Number);
+    return (
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 198 && (b === 18 || b === 19)) ||
+      a >= 224
+    );
+  }
+
+  if (net.isIPv6(address)) {
+    const groups = ipv6Groups(address);
+    const embedded = embeddedIPv4(groups);
+    if (embedded) return isPrivateAddress(embedded);
+
+    const [first, second, third] = groups;
+    return (
+      // Unique local, link-local, site-local and multicast
+      (first & 0xfe00) === 0xfc00 ||
+      (first & 0xffc0) === 0xfe80 ||
+      (first & 0xffc0) === 0xfec0 ||
+      (first & 0xff00) === 0xff00 ||
+      // Local-use NAT64, discard-only and documentation prefixes
+      (first === 0x64 && second === 0xff9b && third === 1) ||
+      (first === 0x100 && groups.slice(1, 4).every((group) => group === 0)) ||
+      (first === 0x2001 && second === 0xdb8)
+    );
+  }
+
+  return true;
+}
+
+// The eight 16-bit groups of a valid IPv6 address, with "::" expanded and a
+// trailing dotted IPv4 part turned into two groups
+function ipv6Groups(address) {
+  let text = address.replace(/%.*$/, "").toLowerCase();
+  const dotted = text.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(2).map(Number);
+    text = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const parse = (part) =>
+    part ? part.split(":").map((group) => parseInt(group, 16)) : [];
+  const [head, tail] = text.split("::");
+  if (tail === undefined) return parse(head);
+  const headGroups = parse(head);
+  const tailGroups = parse(tail);
+  return [
+    ...headGroups,
+    ...Array(8 - headGroups.length - tailGroups.length).fill(0),
+    ...tailGroups,
+  ];
+}
+
+// The IPv4 address an IPv6 address stands for, or null. "::" and "::1" come
+// out as 0.0.0.0 and 0.0.0.1, which are private too.
+function embeddedIPv4(groups) {
+  const toIPv4 = (high, low) =>
+    [high >> 8, high & 0xff, low >> 8, low & 0xff].join(".");
+  const zero = (from, to) =>
+    groups.slice(from, to).every((group) => group === 0);
+
+  // ::a.b.c.d (compatible), ::ffff:a.b.c.d (mapped), ::ffff:0:a.b.c.d
+  if (
+    zero(0, 4) &&
+    ((groups[4] === 0 && (groups[5] === 0 || groups[5] === 0xffff)) ||
+      (groups[4] === 0xffff && groups[5] === 0))
+  ) {
+    return toIPv4(groups[6], groups[7]);
+  }
+  // NAT64 64:ff9b::/96
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && zero(2, 6)) {
+    return toIPv4(groups[6], groups[7]);
+  }
+  // 6to4 2002::/16
+  if (groups[0] === 0x2002) return toIPv4(groups[1], groups[2]);
+  // Teredo 2001::/32, whose client address is stored inverted
+  if (groups[0] === 0x2001 && groups[1] === 0) {
+    return toIPv4(groups[6] ^ 0xffff, groups[7] ^ 0xffff);
+  }
+  return null;
+}
@@ -0,0 +1,118 @@
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+
+// "auto" never cuts segments shorter than this; each one costs a page load
+export const MIN_SEGMENT_SECONDS = 2;
+
+/**
+ * How many segments to split a `duration`-second recording into. "auto"
+ * picks one per CPU core, limited by `maxParallel` pages and by
+ * MIN_SEGMENT_SECONDS. A requested count is only lowered so that every
+ * segment keeps at least one frame.
+ */
+export function resolveSegmentCount(
+  requested,
+  { duration, fps, maxParallel = Infinity }
+) {
+  const count =
+    requested === "auto"
+      ? Math.min(
+          os.availableParallelism(),
+          maxParallel,
+          Math.floor(duration / MIN_SEGMENT_SECONDS)
+        )
+      : requested;
+  return Math.max(Math.min(count, totalFrameCount(duration, fps)), 1);
+}
+
+/**
+ * Part `index` of `count` of the recording: frames [firstFrame, endFrame)
+ * and the matching timeline span in seconds. Cuts fall on frame boundaries,
+ * so consecutive segments meet exactly.
+ */
+export function planSegment(duration, fps, index, count) {
+  const totalFrames = totalFrameCount(duration, fps);
+  const firstFrame = Math.floor((totalFrames * index) / count);
+  const endFrame = Math.floor((totalFrames * (index + 1)) / count);
+  return {
+    index,
+    count,
+    firstFrame,
+    endFrame,
+    start: firstFrame / fps,
+    end: endFrame / fps,
+  };
+}
+
+/**
+ * Checks that captured segments join up: every segment starts where it was
+ * planned to and where the previous one stopped. Stepped captures must match
+ * their frame ranges exactly; real-time ones may be off by up to two frames.
+ * Throws on a mismatch, otherwise returns the largest gap (or overlap) found
+ * between neighbours, in seconds.
+ */
+export function checkSegmentBoundaries(segments, captures, { fps, exact }) {
+  const tolerance = exact ? 1e-6 : 2 / fps;
+  const problems = [];
+  let maxGapSeconds = 0;
+
+  for (const [i, segment] of segments.entries()) {
+    const { frameCount, timeline } = captures[i];
+    if (exact && frameCount !== segment.endFrame - segment.firstFrame) {
+      problems.push(
+        `segment ${i} has ${frameCount} frames, expected ${segment.endFrame - segment.firstFrame}`
+      );
+    }
+    if (Math.abs(timeline.start - segment.start) > tolerance) {
+      problems.push(
+        `segment ${i} starts at ${round(timeline.start)}s, expected ${round(segment.start)}s`
+      );
+    }
+    if (i > 0 && captures[i - 1].timeline.end !== null) {
+      const gap = timeline.start - captures[i - 1].timeline.end;
+      maxGapSeconds = Math.max(maxGapSeconds, Math.abs(gap));
+      if (Math.abs(gap) > tolerance) {
+        problems.push(
+          `${gap > 0 ? "gap" : "overlap"} of ${round(Math.abs(gap))}s between segments ${i - 1} and ${i}`
+        );
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Segments do not line up: ${problems.join("; ")}`);
+  }
+  return round(maxGapSeconds);
+}
+
+/**
+ * Moves the numbered frames of each segment directory, in order, into one
+ * continuous frame_%06d sequence in `framesDir`.
+ */
+export async function mergeFrameDirs(segmentDirs, framesDir) {
+  await fs.mkdir(framesDir, { recursive: true });
+  let frameNumber = 0;
+  for (const dir of segmentDirs) {
+    const frames = (await fs.readdir(dir))
+      .filter((name) => name.startsWith("frame_"))
+      .sort();
+    for (const name of frames) {
+      const paddedFrameNumber = frameNumber.toString().padStart(6, "0");
+      await fs.rename(
+        path.join(dir, name),
+        path.join(framesDir, `frame_${paddedFrameNumber}${path.extname(name)}`)
+      );
+      frameNumber++;
+    }
+  }
+  return frameNumber;
+}
+
+function totalFrameCount(duration, fps) {
+  return Math.max(Math.round(duration * fps), 1);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
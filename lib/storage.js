@@ -0,0 +1,227 @@
+import { createReadStream, createWriteStream, promises as fs } from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { pathToFileURL } from "url";
+import {
+  GetObjectCommand,
+  PutObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+import { Upload } from "@aws-sdk/lib-storage";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("Storage");
+
+export const STORAGE_BACKENDS = ["r2", "s3", "minio", "local"];
+
+// "public" returns CDN/object URLs; "presigned" returns expiring signed URLs
+export const URL_MODES = ["public", "presigned"];
+
+const MULTIPART_PART_SIZE = 8 * 1024 * 1024;
+const MULTIPART_QUEUE_SIZE = 4;
+
+/**
+ * Creates the storage backend chosen for this deployment. Every backend
+ * exposes `upload(filePath, key, { contentType, cacheControl, onProgress })`
+ * resolving to `{ key, url, expiresAt }`; `onProgress` gets a 0..1 fraction.
+ * `getUrl(key)` resolves to a fresh `{ key, url, expiresAt }` for an object
+ * uploaded earlier, and `writeJson(key, value)` / `readJson(key)` store
+ * small JSON documents such as render manifests (`readJson` resolves to null
+ * when there is no such object). `public` tells whether uploads can be read
+ * by anyone who guesses their URL rather than only through the URLs handed
+ * out.
+ */
+export function createStorage(options) {
+  const { backend = "r2" } = options;
+
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(
+      `Unknown storage backend "${backend}", expected one of: ${STORAGE_BACKENDS.join(", ")}`
+    );
+  }
+
+  if (!URL_MODES.includes(options.urlMode || "public")) {
+    throw new Error(
+      `Unknown storage URL mode "${options.urlMode}", expected one of: ${URL_MODES.join(", ")}`
+    );
+  }
+
+  return backend === "local"
+    ? createLocalStorage(options)
+    : createS3Storage(options);
+}
+
+// S3-compatible object storage: Cloudflare R2, AWS S3 or MinIO. Files are
+// streamed from disk with multipart upload instead of being read into memory.
+function createS3Storage({
+  backend,
+  endpoint,
+  region,
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  publicUrl,
+  urlMode = "public",
+  presignExpiresIn = 3600,
+}) {
+  const client = new S3Client({
+    region: region || (backend === "r2" ? "auto" : "us-east-1"),
+    endpoint,
+    // MinIO serves buckets under the path rather than as subdomains
+    forcePathStyle: backend === "minio",
+    credentials: { accessKeyId, secretAccessKey },
+  });
+
+  async function upload(
+    filePath,
+    key,
+    {
+      contentType = "application/octet-stream",
+      cacheControl = "max-age=31536000",
+      onProgress = () => {},
+    } = {}
+  ) {
+    const { size } = await fs.stat(filePath);
+    log.info("Uploading", { key, backend, bytes: size, urlMode });
+
+    const multipartUpload = new Upload({
+      client,
+      params: {
+        Bucket: bucket,
+        Key: key,
+        Body: createReadStream(filePath),
+        ContentType: contentType,
+        CacheControl: cacheControl,
+        ...(urlMode === "public" && { ACL: "public-read" }),
+        Metadata: {
+          "Content-Disposition": "inline",
+        },
+      },
+      partSize: MULTIPART_PART_SIZE,
+      queueSize: MULTIPART_QUEUE_SIZE,
+    });
+
+    multipartUpload.on("httpUploadProgress", ({ loaded }) => {
+      if (size > 0 && loaded) onProgress(loaded / size);
+    });
+
+    await multipartUpload.done();
+    return getUrl(key);
+  }
+
+  async function getUrl(key) {
+    if (urlMode === "presigned") {
+      const url = await getSignedUrl(
+        client,
+        new GetObjectCommand({ Bucket: bucket, Key: key }),
+        { expiresIn: presignExpiresIn }
+      );
+      const expiresAt = new Date(
+        Date.now() + presignExpiresIn * 1000
+      ).toISOString();
+      return { key, url, expiresAt };
+    }
+
+    const baseUrl = publicUrl || `${endpoint}/${bucket}`;
+    return { key, url: `${baseUrl}/${key}`, expiresAt: null };
+  }
+
+  async function writeJson(key, value) {
+    await client.send(
+      new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: JSON.stringify(value),
+        ContentType: "application/json",
+        CacheControl: "no-cache",
+      })
+    );
+  }
+
+  async function readJson(key) {
+    try {
+      const { Body } = await client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: key })
+      );
+      return JSON.parse(await Body.transformToString());
+    } catch (error) {
+      if (error.name === "NoSuchKey") return null;
+      throw error;
+    }
+  }
+
+  return {
+    backend,
+    // The bucket itself has to be private too; R2 ignores object ACLs
+    public: urlMode === "public",
+    upload,
+    getUrl,
+    writeJson,
+    readJson,
+  };
+}
+
+// Local filesystem output for development. Files are copied under
+// `localDir`; URLs use `publicUrl` when set, otherwise file:// URLs.
+function createLocalStorage({ localDir = "./output", publicUrl, urlMode }) {
+  const rootDir = path.resolve(localDir);
+
+  if (urlMode === "presigned") {
+    log.warn(
+      "Presigned URLs are not supported by local storage, returning plain URLs"
+    );
+  }
+
+  function destinationOf(key) {
+    const destination = path.join(rootDir, key);
+    if (!destination.startsWith(rootDir + path.sep)) {
+      throw new Error(`Storage key escapes the output directory: ${key}`);
+    }
+    return destination;
+  }
+
+  async function upload(filePath, key, { onProgress = () => {} } = {}) {
+    const destination = destinationOf(key);
+    log.info("Copying", { key, destination });
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+    await pipeline(createReadStream(filePath), createWriteStream(destination));
+    onProgress(1);
+    return getUrl(key);
+  }
+
+  async function getUrl(key) {
+    const url = publicUrl
+      ? `${publicUrl}/${key}`
+      : pathToFileURL(destinationOf(key)).href;
+    return { key, url, expiresAt: null };
+  }
+
+  async function writeJson(key, value) {
+    const destination = destinationOf(key);
+    await fs.mkdir(path.dirname(destination), { recursive: true });
+    // Write then rename so readers never see half a document
+    const tempPath = `${destination}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(value));
+    await fs.rename(tempPath, destination);
+  }
+
+  async function readJson(key) {
+    try {
+      return JSON.parse(await fs.readFile(destinationOf(key), "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  return {
+    backend: "local",
+    // Files are only reachable by URL when something serves `localDir`
+    public: Boolean(publicUrl),
+    upload,
+    getUrl,
+    writeJson,
+    readJson,
+  };
+}
@@ -0,0 +1,81 @@
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("Templates");
+
+// Template ids are the SHA-256 of the HTML, so storing twice is harmless
+export const TEMPLATE_ID_PATTERN = "^[a-f0-9]{64}$";
+
+/**
+ * Stores animation templates on disk under `dir`, keyed by the SHA-256 of
+ * their HTML, so jobs can refer to one by id instead of resending it.
+ */
+export function createTemplateStore({ dir }) {
+  const rootDir = path.resolve(dir);
+  const templatePath = (id) => path.join(rootDir, `${id}.html`);
+  // Ids arrive in URLs, so anything else must never reach the filesystem
+  const isTemplateId = (id) => new RegExp(TEMPLATE_ID_PATTERN).test(id);
+
+  // Resolves to the template's id
+  async function save(htmlContent) {
+    const id = createHash("sha256").update(htmlContent, "utf8").digest("hex");
+    if (await has(id)) return id;
+
+    await fs.mkdir(rootDir, { recursive: true });
+    const tempPath = `${templatePath(id)}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, htmlContent, "utf8");
+    await fs.rename(tempPath, templatePath(id));
+    log.info("Stored template", {
+      templateId: id,
+      bytes: Buffer.byteLength(htmlContent, "utf8"),
+    });
+    return id;
+  }
+
+  // Resolves to the template's HTML, or null when there is no such template
+  async function load(id) {
+    if (!isTemplateId(id)) return null;
+    try {
+      return await fs.readFile(templatePath(id), "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async function has(id) {
+    if (!isTemplateId(id)) return false;
+    try {
+      await fs.access(templatePath(id));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  return { save, load, has };
+}
+
+/**
+ * Exposes a job's `data` to the page as a deeply frozen
+ * `window.__renderData` before any of its scripts run, so one template can
+ * render many personalized videos.
+ *
+ * Must be called before the page navigates.
+ */
+export async function installTemplateData(page, data) {
+  await page.addInitScript((value) => {
+    const deepFreeze = (object) => {
+      if (object && typeof object === "object") {
+        Object.values(object).forEach(deepFreeze);
+        Object.freeze(object);
+      }
+      return object;
+    };
+    Object.defineProperty(globalThis, "__renderData", {
+      value: deepFreeze(value),
+    });
+  }, data);
+}
@@ -0,0 +1,405 @@
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+import {
+  normalizeOutputs,
+  OUTPUT_FORMATS,
+  OUTPUT_QUALITIES,
+} from "./encoding.js";
+import { normalizeAudio } from "./audio.js";
+import { normalizePreviews } from "./previews.js";
+import { TEMPLATE_ID_PATTERN } from "./templates.js";
+import { normalizeVariants } from "./variants.js";
+import { PROGRESS_EVENTS } from "./webhook.js";
+
+// "screencast" records in real time; "timeline" steps GSAP frame by frame
+export const CAPTURE_MODES = ["screencast", "timeline"];
+
+// What a job gets for the capture settings it leaves out
+export const CAPTURE_DEFAULTS = {
+  usesMapbox: false,
+  captureMode: "screencast",
+  fps: 30,
+  loopCycles: 1,
+  segments: 1,
+};
+
+export const LIMITS = {
+  MIN_DIMENSION: 16,
+  MAX_DIMENSION: 4096,
+  MAX_FPS: 120,
+  MAX_DURATION: 600,
+  MAX_LOOP_CYCLES: 100,
+  MAX_HTML_BYTES: 5 * 1024 * 1024,
+  MAX_OUTPUTS: 10,
+  MAX_AUDIO_EFFECTS: 100,
+  MAX_SEGMENTS: 16,
+  MAX_VARIANTS: 8,
+  MAX_BATCH_RECORDS: 500,
+  // JSON size of `data`, or of all `batch` records together
+  MAX_DATA_BYTES: 5 * 1024 * 1024,
+};
+
+// jobId ends up in /tmp paths and storage keys, so keep it to a safe charset
+const JOB_ID_PATTERN = "^[A-Za-z0-9][A-Za-z0-9_-]{0,127}$";
+
+// yuv420p needs even sizes, so every explicit dimension must be even
+const dimension = {
+  type: "integer",
+  minimum: LIMITS.MIN_DIMENSION,
+  maximum: LIMITS.MAX_DIMENSION,
+  multipleOf: 2,
+};
+const seconds = { type: "number", minimum: 0 };
+const volume = { type: "number", minimum: 0, maximum: 10 };
+const audioSource = { type: "string", minLength: 1, maxLength: 2048 };
+
+export const JOB_INPUT_SCHEMA = {
+  type: "object",
+  // `animationCode` is required unless a `template` is given, and
+  // `dimensions` unless `variants` are
+  required: ["jobId", "webhookUrl"],
+  additionalProperties: false,
+  properties: {
+    jobId: { type: "string", pattern: JOB_ID_PATTERN },
+    animationCode: {
+      type: "object",
+      required: ["htmlContent"],
+      properties: {
+        htmlContent: { type: "string", minLength: 1 },
+      },
+    },
+    // A stored template by `id`, or its `htmlContent` to store and use
+    template: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        id: { type: "string", pattern: TEMPLATE_ID_PATTERN },
+        htmlContent: { type: "string", minLength: 1 },
+      },
+    },
+    // Exposed to the page as window.__renderData
+    data: { type: "object" },
+    // One video per record, each exposed as window.__renderData
+    batch: {
+      type: "array",
+      minItems: 1,
+      maxItems: LIMITS.MAX_BATCH_RECORDS,
+      items: { type: "object" },
+    },
+    dimensions: {
+      type: "object",
+      required: ["width", "height"],
+      additionalProperties: false,
+      properties: { width: dimension, height: dimension },
+    },
+    // Named viewports to render from the same page in one job
+    variants: {
+      type: "array",
+      minItems: 1,
+      maxItems: LIMITS.MAX_VARIANTS,
+      items: {
+        type: "object",
+        required: ["name", "dimensions"],
+        additionalProperties: false,
+        properties: {
+          name: { type: "string", pattern: "^[A-Za-z0-9_-]{1,64}$" },
+          dimensions: {
+            type: "object",
+            required: ["width", "height"],
+            additionalProperties: false,
+            properties: { width: dimension, height: dimension },
+          },
+          deviceScaleFactor: { type: "number", minimum: 1, maximum: 4 },
+        },
+      },
+    },
+    usesMapbox: { type: "boolean" },
+    // Render again even when an identical render is cached
+    force: { type: "boolean" },
+    webhookUrl: { type: "string", format: "uri", pattern: "^https?://" },
+    webhookEvents: {
+      type: "array",
+      uniqueItems: true,
+      items: { enum: PROGRESS_EVENTS },
+    },
+    captureMode: { enum: CAPTURE_MODES },
+    fps: { type: "number", exclusiveMinimum: 0, maximum: LIMITS.MAX_FPS },
+    // Recording length in seconds; detected from the page when omitted
+    duration: {
+      type: "number",
+      exclusiveMinimum: 0,
+      maximum: LIMITS.MAX_DURATION,
+    },
+    // Pages rendering parts of the timeline side by side; "auto" picks a
+    // count from the worker's CPU cores
+    segments: {
+      oneOf: [
+        { enum: ["auto"] },
+        { type: "integer", minimum: 1, maximum: LIMITS.MAX_SEGMENTS },
+      ],
+    },
+    // Cycles to record of infinitely repeating animations
+    loopCycles: {
+      type: "integer",
+      minimum: 1,
+      maximum: LIMITS.MAX_LOOP_CYCLES,
+    },
+    outputs: {
+      type: "array",
+      minItems: 1,
+      maxItems: LIMITS.MAX_OUTPUTS,
+      items: {
+        type: "object",
+        required: ["format"],
+        additionalProperties: false,
+        properties: {
+          format: { enum: Object.keys(OUTPUT_FORMATS) },
+          name: { type: "string", pattern: "^[A-Za-z0-9_-]{1,64}$" },
+          quality: { enum: OUTPUT_QUALITIES },
+          fps: { type: "number", exclusiveMinimum: 0, maximum: LIMITS.MAX_FPS },
+          width: dimension,
+          height: dimension,
+          transparent: { type: "boolean" },
+        },
+      },
+    },
+    audio: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        background: {
+          type: "object",
+          required: ["src"],
+          additionalProperties: false,
+          properties: {
+            src: audioSource,
+            volume,
+            loop: { type: "boolean" },
+            trimStart: seconds,
+            trimEnd: seconds,
+            fadeIn: seconds,
+            fadeOut: seconds,
+          },
+        },
+        effects: {
+          type: "array",
+          maxItems: LIMITS.MAX_AUDIO_EFFECTS,
+          items: {
+            type: "object",
+            required: ["src", "at"],
+            additionalProperties: false,
+            properties: {
+              src: audioSource,
+              at: seconds,
+              volume,
+              trimStart: seconds,
+              duration: { type: "number", exclusiveMinimum: 0 },
+            },
+          },
+        },
+      },
+    },
+    previews: {
+      oneOf: [
+        { const: false },
+        {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            // Seconds, or the string "last"
+            posterTime: {
+              type: ["number", "string"],
+              minimum: 0,
+              pattern: "^last$",
+            },
+            thumbnailWidths: {
+              type: "array",
+              maxItems: 8,
+              items: { type: "integer", minimum: 1, maximum: 4096 },
+            },
+            sprite: {
+              oneOf: [
+                { const: false },
+                {
+                  type: "object",
+                  additionalProperties: false,
+                  properties: {
+                    interval: { type: "number", exclusiveMinimum: 0 },
+                    columns: { type: "integer", minimum: 1, maximum: 100 },
+                    width: { type: "integer", minimum: 1, maximum: 1024 },
+                  },
+                },
+              ],
+            },
+          },
+        },
+      ],
+    },
+  },
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+addFormats(ajv, ["uri"]);
+const validateSchema = ajv.compile(JOB_INPUT_SCHEMA);
+// Local renders have nobody to call back
+const validateLocalSchema = ajv.compile({
+  ...JOB_INPUT_SCHEMA,
+  required: JOB_INPUT_SCHEMA.required.filter((key) => key !== "webhookUrl"),
+});
+
+/**
+ * Rejected job input. `errors` lists { field, message } for every problem
+ * found, so callers can fix them all at once.
+ */
+export class ValidationError extends Error {
+  constructor(errors) {
+    super(
+      `Invalid job input: ${errors
+        .map(({ field, message }) => `${field} ${message}`)
+        .join("; ")}`
+    );
+    this.name = "ValidationError";
+    this.statusCode = 400;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Checks a job payload against the schema and the rules that span several
+ * fields. Returns { errors, value } where `value` carries the normalized
+ * outputs, audio, previews and variants settings, and the capture settings
+ * with CAPTURE_DEFAULTS applied, when the input is valid. Pass
+ * `requireWebhook: false` for renders that are not reported anywhere.
+ * Whether a `template.id` is actually stored is left to the caller.
+ */
+export function validateJobInput(input, { requireWebhook = true } = {}) {
+  const validate = requireWebhook ? validateSchema : validateLocalSchema;
+  if (!validate(input)) {
+    return { errors: formatSchemaErrors(validate.errors), value: null };
+  }
+
+  const errors = [];
+  if (input.animationCode && input.template) {
+    errors.push({
+      field: "template",
+      message: "use either animationCode or template, not both",
+    });
+  } else if (!input.animationCode && !input.template) {
+    errors.push({ field: "animationCode", message: "is required" });
+  } else if (
+    input.template &&
+    "id" in input.template === "htmlContent" in input.template
+  ) {
+    errors.push({
+      field: "template",
+      message: "must have exactly one of id or htmlContent",
+    });
+  }
+  for (const field of ["animationCode", "template"]) {
+    const htmlContent = input[field]?.htmlContent;
+    if (htmlContent === undefined) continue;
+    const htmlBytes = Buffer.byteLength(htmlContent, "utf8");
+    if (htmlBytes > LIMITS.MAX_HTML_BYTES) {
+      errors.push({
+        field: `${field}.htmlContent`,
+        message: `must be at most ${LIMITS.MAX_HTML_BYTES} bytes (got ${htmlBytes})`,
+      });
+    }
+  }
+
+  if (input.data && input.batch) {
+    errors.push({
+      field: "batch",
+      message: "use either data or batch, not both",
+    });
+  }
+  for (const field of ["data", "batch"]) {
+    if (input[field] === undefined) continue;
+    const dataBytes = Buffer.byteLength(JSON.stringify(input[field]), "utf8");
+    if (dataBytes > LIMITS.MAX_DATA_BYTES) {
+      errors.push({
+        field,
+        message: `must be at most ${LIMITS.MAX_DATA_BYTES} bytes as JSON (got ${dataBytes})`,
+      });
+    }
+  }
+
+  const value = {
+    capture: {
+      usesMapbox: input.usesMapbox ?? CAPTURE_DEFAULTS.usesMapbox,
+      captureMode: input.captureMode ?? CAPTURE_DEFAULTS.captureMode,
+      fps: input.fps ?? CAPTURE_DEFAULTS.fps,
+      duration: input.duration ?? null,
+      loopCycles: input.loopCycles ?? CAPTURE_DEFAULTS.loopCycles,
+      segments: input.segments ?? CAPTURE_DEFAULTS.segments,
+    },
+  };
+  if (input.dimensions === undefined && input.variants === undefined) {
+    errors.push({ field: "dimensions", message: "is required" });
+  }
+  try {
+    value.variants = normalizeVariants(input.variants, input.dimensions);
+  } catch (error) {
+    errors.push({ field: "variants", message: error.message });
+  }
+
+  for (const [field, normalize] of [
+    ["outputs", normalizeOutputs],
+    ["audio", normalizeAudio],
+    ["previews", normalizePreviews],
+  ]) {
+    try {
+      value[field] = normalize(input[field]);
+    } catch (error) {
+      errors.push({ field, message: error.message });
+    }
+  }
+
+  return errors.length > 0 ? { errors, value: null } : { errors, value };
+}
+
+function formatSchemaErrors(schemaErrors) {
+  const errors = [];
+  const seen = new Set();
+
+  for (const error of schemaErrors) {
+    // `false` is the "turn it off" alternative of a oneOf; when the object
+    // branch fails, its errors are the useful ones
+    if (
+      error.keyword === "oneOf" ||
+      (error.keyword === "const" && error.params.allowedValue === false)
+    ) {
+      continue;
+    }
+
+    let field = error.instancePath
+      .slice(1)
+      .replace(/\/(\d+)(?=\/|$)/g, "[$1]")
+      .replace(/\//g, ".");
+    if (error.keyword === "required") {
+      field = joinField(field, error.params.missingProperty);
+    } else if (error.keyword === "additionalProperties") {
+      field = joinField(field, error.params.additionalProperty);
+    }
+
+    const message =
+      error.keyword === "required"
+        ? "is required"
+        : error.keyword === "additionalProperties"
+          ? "is not an allowed field"
+          : error.keyword === "enum"
+            ? `must be one of: ${error.params.allowedValues.join(", ")}`
+            : error.message;
+
+    const key = `${field || "input"}|${message}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    errors.push({ field: field || "input", message });
+  }
+
+  return errors;
+}
+
+function joinField(parent, child) {
+  return parent ? `${parent}.${child}` : child;
+}
@@ -0,0 +1,44 @@
+// Pixel density pages render at unless a variant asks for another
+export const DEFAULT_DEVICE_SCALE_FACTOR = 2;
+
+/**
+ * Validates the job's `variants` input, a list of named viewports rendered
+ * from the same animation:
+ *
+ *   [{ name: "landscape", dimensions: { width, height }, deviceScaleFactor }]
+ *
+ * Returns null when the job has no variants and renders `dimensions` only.
+ */
+export function normalizeVariants(variants, dimensions) {
+  if (variants === undefined) return null;
+  if (dimensions !== undefined) {
+    throw new Error("use either variants or dimensions, not both");
+  }
+
+  const names = new Set();
+  return variants.map(
+    ({ name, dimensions, deviceScaleFactor = DEFAULT_DEVICE_SCALE_FACTOR }) => {
+      if (names.has(name)) {
+        throw new Error(`variant names must be unique ("${name}" repeats)`);
+      }
+      names.add(name);
+      return { name, dimensions, deviceScaleFactor };
+    }
+  );
+}
+
+/**
+ * Exposes the variant being rendered to the page as a frozen
+ * `window.__renderVariant` = { name, width, height, deviceScaleFactor }
+ * before any of its scripts run, so layouts can adapt to it. `name` is null
+ * for jobs without variants.
+ *
+ * Must be called before the page navigates.
+ */
+export async function installVariantGlobal(page, variant) {
+  await page.addInitScript((value) => {
+    Object.defineProperty(globalThis, "__renderVariant", {
+      value: Object.freeze(value),
+    });
+  }, variant);
+}
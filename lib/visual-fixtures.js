@@ -0,0 +1,133 @@
+import { readFileSync } from "fs";
+import { createRequire } from "module";
+
+// Fixture animations for the visual regression harness. Each page is driven
+// only by GSAP (no clocks, no randomness), so the frames captured at the same
+// timeline positions are identical from run to run. `timestamps` are the
+// seconds compared against golden images; `minSsim` and `minPsnr` loosen the
+// default tolerances for scenes that render slightly differently per run.
+
+// Inlined from the pinned npm package, so fixtures render without network
+// access and always with the GSAP version the golden images were made with
+const GSAP_SCRIPT = readFileSync(
+  createRequire(import.meta.url).resolve("gsap/dist/gsap.min.js"),
+  "utf8"
+);
+
+function page(body, script) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<style>
+  html, body { margin: 0; width: 100%; height: 100%; overflow: hidden; }
+  body { background: #0f1c2e; font-family: "Liberation Sans", Arial, sans-serif; }
+</style>
+<script>${GSAP_SCRIPT}</script>
+</head>
+<body>${body}<script>${script}</script></body>
+</html>`;
+}
+
+// Transforms, opacity and border radius on plain DOM elements
+const shapes = page(
+  `<style>
+    .shape { position: absolute; width: 60px; height: 60px; top: 60px; }
+    #a { left: 20px; background: #ff5a5f; }
+    #b { left: 130px; background: #3ec1d3; border-radius: 50%; }
+    #c { left: 240px; background: #ffd166; }
+  </style>
+  <div class="shape" id="a"></div>
+  <div class="shape" id="b"></div>
+  <div class="shape" id="c"></div>`,
+  `
+  const tl = gsap.timeline({ onComplete: () => window.onComplete?.() });
+  tl.to("#a", { x: 40, rotation: 180, duration: 1, ease: "power2.inOut" })
+    .to("#b", { y: 40, scale: 1.5, duration: 1, ease: "sine.inOut" }, 0.5)
+    .to("#c", { opacity: 0.2, borderRadius: "30px", duration: 1 }, 1);
+`
+);
+
+// Text layout with the fonts the worker image ships, including wrapping and
+// letter spacing, which are sensitive to font rendering flags
+const text = page(
+  `<style>
+    h1 { margin: 0; position: absolute; left: 20px; top: 24px; color: #fff;
+      font-size: 28px; font-weight: 700; letter-spacing: 1px; }
+    p { margin: 0; position: absolute; left: 20px; top: 76px; width: 280px;
+      color: #c9d6e3; font-size: 14px; line-height: 1.4; }
+  </style>
+  <h1 id="title">Rendered frames</h1>
+  <p id="body">The quick brown fox jumps over the lazy dog. Sphinx of black
+  quartz, judge my vow. 0123456789</p>`,
+  `
+  const tl = gsap.timeline({ onComplete: () => window.onComplete?.() });
+  tl.from("#title", { x: -40, opacity: 0, duration: 0.8, ease: "power3.out" })
+    .from("#body", { y: 20, opacity: 0, duration: 0.8 }, 0.4)
+    .to("#title", { letterSpacing: "4px", duration: 0.8 }, 1.2);
+`
+);
+
+// A WebGL shader whose output depends only on a GSAP-tweened uniform, to
+// cover the SwiftShader GL path
+const webgl = page(
+  `<canvas id="c" style="display: block; width: 100vw; height: 100vh"></canvas>`,
+  `
+  const canvas = document.getElementById("c");
+  canvas.width = innerWidth * devicePixelRatio;
+  canvas.height = innerHeight * devicePixelRatio;
+  const gl = canvas.getContext("webgl", { preserveDrawingBuffer: true });
+  const program = gl.createProgram();
+  for (const [type, source] of [
+    [gl.VERTEX_SHADER, "attribute vec2 p; varying vec2 uv; void main() { uv = p * 0.5 + 0.5; gl_Position = vec4(p, 0.0, 1.0); }"],
+    [gl.FRAGMENT_SHADER, "precision mediump float; uniform float t; varying vec2 uv; void main() { float r = 0.5 + 0.5 * sin(uv.x * 6.2831 + t * 3.0); float g = 0.5 + 0.5 * sin(uv.y * 6.2831 + t * 2.0); gl_FragColor = vec4(r, g, 0.6, 1.0); }"],
+  ]) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    gl.attachShader(program, shader);
+  }
+  gl.linkProgram(program);
+  gl.useProgram(program);
+  gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+  const location = gl.getAttribLocation(program, "p");
+  gl.enableVertexAttribArray(location);
+  gl.vertexAttribPointer(location, 2, gl.FLOAT, false, 0, 0);
+  const state = { t: 0 };
+  const draw = () => {
+    gl.viewport(0, 0, canvas.width, canvas.height);
+    gl.uniform1f(gl.getUniformLocation(program, "t"), state.t);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  };
+  draw();
+  gsap.to(state, { t: 2, duration: 2, ease: "none", onUpdate: draw,
+    onComplete: () => window.onComplete?.() });
+`
+);
+
+export const VISUAL_FIXTURES = {
+  shapes: {
+    html: shapes,
+    dimensions: { width: 320, height: 180 },
+    fps: 10,
+    duration: 2,
+    timestamps: [0, 0.5, 1, 1.9],
+  },
+  text: {
+    html: text,
+    dimensions: { width: 320, height: 180 },
+    fps: 10,
+    duration: 2,
+    timestamps: [0.2, 0.8, 1.9],
+  },
+  webgl: {
+    html: webgl,
+    dimensions: { width: 320, height: 180 },
+    fps: 10,
+    duration: 2,
+    timestamps: [0, 1, 1.9],
+    // Shader precision may differ in the last bit between SwiftShader builds
+    minSsim: 0.98,
+  },
+};
@@ -0,0 +1,378 @@
+import { execFile } from "child_process";
+import { promises as fs } from "fs";
+import path from "path";
+import { promisify } from "util";
+import { runFFmpeg } from "./encoding.js";
+import { VISUAL_FIXTURES } from "./visual-fixtures.js";
+
+const execFileAsync = promisify(execFile);
+
+// A frame passes when both its SSIM and its PSNR (dB) against the golden
+// image reach these, unless its fixture sets its own
+export const VISUAL_DEFAULTS = { minSsim: 0.99, minPsnr: 35 };
+
+const PROBE_TIMEOUT_MS = 60000;
+
+/**
+ * Renders each fixture with `render(input, { workDir })`, the worker's
+ * renderLocally, and checks the frames at its timestamps against the golden
+ * PNGs in `goldenDir` and its MP4's length, fps and frame count with
+ * ffprobe. With `update`, the captured frames become the new golden images
+ * instead. A fixture that fails to render is reported with an `error`
+ * instead of stopping the run. `onProgress({ fixture })` is called before
+ * each fixture starts.
+ */
+export async function runVisualRegression({
+  render,
+  goldenDir,
+  workDir,
+  fixtures = Object.keys(VISUAL_FIXTURES),
+  update = false,
+  onProgress = () => {},
+}) {
+  for (const name of fixtures) {
+    if (!VISUAL_FIXTURES[name]) throw new Error(`Unknown fixture: ${name}`);
+  }
+
+  const results = [];
+  for (const name of fixtures) {
+    onProgress({ fixture: name });
+    try {
+      results.push(
+        await checkFixture(name, VISUAL_FIXTURES[name], {
+          render,
+          goldenDir,
+          workDir: path.join(workDir, name),
+          update,
+        })
+      );
+    } catch (error) {
+      results.push({ fixture: name, passed: false, error: error.message });
+    }
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    update,
+    passed: results.every(({ passed }) => passed),
+    results,
+  };
+}
+
+async function checkFixture(
+  name,
+  fixture,
+  { render, goldenDir, workDir, update }
+) {
+  const minSsim = fixture.minSsim ?? VISUAL_DEFAULTS.minSsim;
+  const minPsnr = fixture.minPsnr ?? VISUAL_DEFAULTS.minPsnr;
+
+  // Stepped capture makes frame N the timeline at N / fps; the PNG sequence
+  // keeps the lossless frames on disk next to the MP4
+  const { capture, encodedFiles } = await render(
+    {
+      jobId: `visual-${name}`,
+      animationCode: { htmlContent: fixture.html },
+      dimensions: fixture.dimensions,
+      captureMode: "timeline",
+      fps: fixture.fps,
+      duration: fixture.duration,
+      outputs: [{ format: "mp4" }, { format: "png-sequence" }],
+      previews: false,
+    },
+    { workDir }
+  );
+
+  const frames = [];
+  for (const timestamp of fixture.timestamps) {
+    const frame = Math.round(timestamp * fixture.fps);
+    const label = `${name}-${timestamp.toFixed(2)}s`;
+    const actualPath = path.join(
+      capture.framesDir,
+      `frame_${frame.toString().padStart(6, "0")}.png`
+    );
+    const goldenPath = path.join(goldenDir, `${label}.png`);
+    const result = { label, timestamp, frame, actualPath, goldenPath };
+
+    if (frame >= capture.frameCount) {
+      frames.push({
+        ...result,
+        passed: false,
+        error: `Frame ${frame} is past the end of the recording (${capture.frameCount} frames)`,
+      });
+    } else if (update) {
+      await fs.mkdir(goldenDir, { recursive: true });
+      await fs.copyFile(actualPath, goldenPath);
+      frames.push({ ...result, passed: true, updated: true });
+    } else if (!(await exists(goldenPath))) {
+      frames.push({
+        ...result,
+        goldenPath: null,
+        passed: false,
+        error: "No golden image yet; run with --update to create it",
+      });
+    } else {
+      const diffPath = path.join(workDir, `${label}-diff.png`);
+      const comparison = await compareImages(actualPath, goldenPath, diffPath);
+      frames.push({
+        ...result,
+        diffPath,
+        ...comparison,
+        minSsim,
+        minPsnr,
+        passed:
+          !comparison.error &&
+          comparison.ssim >= minSsim &&
+          comparison.psnr >= minPsnr,
+      });
+    }
+  }
+
+  const mp4 = encodedFiles.find(({ output }) => output.format === "mp4");
+  const video = await checkVideo(mp4.outputPath, fixture);
+
+  return {
+    fixture: name,
+    passed: frames.every(({ passed }) => passed) && video.passed,
+    frames,
+    video,
+  };
+}
+
+/**
+ * Compares two images with FFmpeg: SSIM (perceptual, 1 = identical) and
+ * PSNR in dB (Infinity = identical), and writes an amplified difference
+ * image to `diffPath`. Images of different sizes are not compared.
+ */
+export async function compareImages(actualPath, goldenPath, diffPath) {
+  const [actualSize, goldenSize] = await Promise.all([
+    probeImageSize(actualPath),
+    probeImageSize(goldenPath),
+  ]);
+  if (
+    actualSize.width !== goldenSize.width ||
+    actualSize.height !== goldenSize.height
+  ) {
+    return {
+      ssim: 0,
+      psnr: 0,
+      error: `Size ${actualSize.width}x${actualSize.height} differs from the golden ${goldenSize.width}x${goldenSize.height}`,
+    };
+  }
+
+  const measure = async (filter, pattern) => {
+    const stderr = await runFFmpeg([
+      "-hide_banner",
+      "-i",
+      actualPath,
+      "-i",
+      goldenPath,
+      "-lavfi",
+      `[0:v][1:v]${filter}`,
+      "-f",
+      "null",
+      "-",
+    ]);
+    const value = stderr.match(pattern)?.[1];
+    if (value === undefined) throw new Error(`FFmpeg reported no ${filter}`);
+    return value === "inf" ? Infinity : parseFloat(value);
+  };
+  const ssim = await measure("ssim", /All:([\d.]+|inf)/);
+  const psnr = await measure("psnr", /average:([\d.]+|inf)/);
+
+  // Differences are faint, so they are brightened four times to be seen
+  await runFFmpeg([
+    "-hide_banner",
+    "-i",
+    actualPath,
+    "-i",
+    goldenPath,
+    "-lavfi",
+    "[0:v]format=rgb24[a];[1:v]format=rgb24[b];[a][b]blend=all_mode=difference,lutrgb=r=val*4:g=val*4:b=val*4",
+    "-frames:v",
+    "1",
+    "-y",
+    diffPath,
+  ]);
+
+  return { ssim: round(ssim, 5), psnr: round(psnr, 2) };
+}
+
+/**
+ * Checks an encoded video's frame rate, frame count (decoded, not from the
+ * container header) and duration against what its fixture asked for.
+ * Duration may be off by one frame.
+ */
+export async function checkVideo(videoPath, { fps, duration }) {
+  const { stdout } = await execFileAsync(
+    "ffprobe",
+    [
+      "-v",
+      "error",
+      "-select_streams",
+      "v:0",
+      "-count_frames",
+      "-show_entries",
+      "stream=r_frame_rate,nb_read_frames:format=duration",
+      "-of",
+      "json",
+      videoPath,
+    ],
+    { timeout: PROBE_TIMEOUT_MS }
+  );
+  const { streams, format } = JSON.parse(stdout);
+  const [numerator, denominator] = streams[0].r_frame_rate
+    .split("/")
+    .map(Number);
+  const actual = {
+    fps: round(numerator / denominator, 3),
+    frameCount: parseInt(streams[0].nb_read_frames, 10),
+    duration: round(parseFloat(format.duration), 3),
+  };
+  const expected = {
+    fps,
+    frameCount: Math.max(Math.round(duration * fps), 1),
+    duration,
+  };
+
+  const problems = [];
+  if (Math.abs(actual.fps - expected.fps) > 0.01) {
+    problems.push(`fps is ${actual.fps}, expected ${expected.fps}`);
+  }
+  if (actual.frameCount !== expected.frameCount) {
+    problems.push(
+      `has ${actual.frameCount} frames, expected ${expected.frameCount}`
+    );
+  }
+  if (Math.abs(actual.duration - expected.duration) > 1 / fps + 1e-6) {
+    problems.push(`lasts ${actual.duration}s, expected ${expected.duration}s`);
+  }
+
+  return { actual, expected, passed: problems.length === 0, problems };
+}
+
+/**
+ * Writes `report` as `index.html` in `reportDir`, with the golden, actual and
+ * difference image of every compared frame copied next to it.
+ */
+export async function writeVisualReport(report, reportDir) {
+  const imagesDir = path.join(reportDir, "images");
+  await fs.mkdir(imagesDir, { recursive: true });
+  const copyImage = async (sourcePath, name) => {
+    if (!sourcePath || !(await exists(sourcePath))) return "";
+    await fs.copyFile(sourcePath, path.join(imagesDir, name));
+    return `<a href="images/${name}"><img src="images/${name}" alt=""></a>`;
+  };
+
+  const sections = [];
+  for (const result of report.results) {
+    const rows = [];
+    for (const frame of result.frames ?? []) {
+      rows.push(`<tr class="${frame.passed ? "pass" : "fail"}">
+  <td>${frame.timestamp}s<br>frame ${frame.frame}</td>
+  <td>${frame.ssim ?? ""}${frame.minSsim ? `<br><small>min ${frame.minSsim}</small>` : ""}</td>
+  <td>${frame.psnr ?? ""}${frame.minPsnr ? `<br><small>min ${frame.minPsnr}</small>` : ""}</td>
+  <td>${frame.updated ? "updated" : frame.passed ? "pass" : escapeHtml(frame.error ?? "fail")}</td>
+  <td>${await copyImage(frame.goldenPath, `${frame.label}-golden.png`)}</td>
+  <td>${await copyImage(frame.actualPath, `${frame.label}-actual.png`)}</td>
+  <td>${await copyImage(frame.diffPath, `${frame.label}-diff.png`)}</td>
+</tr>`);
+    }
+
+    const video = result.video
+      ? `<p class="${result.video.passed ? "pass" : "fail"}">Video: ${
+          result.video.actual.frameCount
+        } frames at ${result.video.actual.fps} fps, ${
+          result.video.actual.duration
+        }s${
+          result.video.passed
+            ? ""
+            : ` &mdash; ${escapeHtml(result.video.problems.join("; "))}`
+        }</p>`
+      : "";
+
+    sections.push(`<h2 class="${result.passed ? "pass" : "fail"}">${escapeHtml(
+      result.fixture
+    )}: ${result.passed ? "pass" : "fail"}</h2>
+${result.error ? `<p class="fail">${escapeHtml(result.error)}</p>` : ""}
+${video}
+${
+  rows.length > 0
+    ? `<table>
+<tr><th>Time</th><th>SSIM</th><th>PSNR (dB)</th><th>Result</th><th>Golden</th><th>Actual</th><th>Difference (x4)</th></tr>
+${rows.join("\n")}
+</table>`
+    : ""
+}`);
+  }
+
+  const html = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Visual regression report</title>
+<style>
+  body { font-family: sans-serif; margin: 24px; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 24px; }
+  td, th { border: 1px solid #ccc; padding: 6px; vertical-align: top; text-align: left; }
+  img { max-width: 320px; display: block; }
+  .pass { color: #1a7f37; }
+  .fail { color: #cf222e; }
+  tr.pass td, tr.fail td { color: #222; }
+  tr.fail { background: #ffebe9; }
+</style>
+</head>
+<body>
+<h1 class="${report.passed ? "pass" : "fail"}">Visual regression: ${
+    report.passed ? "pass" : "fail"
+  }</h1>
+<p>Generated ${report.generatedAt}${report.update ? " (golden images updated)" : ""}</p>
+${sections.join("\n")}
+</body>
+</html>
+`;
+  const reportPath = path.join(reportDir, "index.html");
+  await fs.writeFile(reportPath, html, "utf8");
+  return reportPath;
+}
+
+async function probeImageSize(imagePath) {
+  const { stdout } = await execFileAsync(
+    "ffprobe",
+    [
+      "-v",
+      "error",
+      "-show_entries",
+      "stream=width,height",
+      "-of",
+      "json",
+      imagePath,
+    ],
+    { timeout: PROBE_TIMEOUT_MS }
+  );
+  const [{ width, height }] = JSON.parse(stdout).streams;
+  return { width, height };
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function round(value, digits) {
+  if (!Number.isFinite(value)) return value;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
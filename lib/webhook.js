@@ -0,0 +1,173 @@
+import crypto from "crypto";
+import axios from "axios";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("Webhook");
+
+// Intermediate events a job can opt into besides COMPLETED/FAILED
+export const PROGRESS_EVENTS = ["RENDERING", "ENCODING", "UPLOADING"];
+
+export const SIGNATURE_HEADER = "X-Webhook-Signature";
+export const TIMESTAMP_HEADER = "X-Webhook-Timestamp";
+
+// Send another progress event only after this many percentage points
+const PROGRESS_EVENT_STEP = 10;
+
+/**
+ * HMAC-SHA256 over `${timestamp}.${body}`, hex encoded. Signing the timestamp
+ * lets receivers reject replays of old deliveries.
+ */
+export function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+/**
+ * Checks a received delivery. `headers` are the lower-cased request headers
+ * and `body` the raw request body string.
+ */
+export function verifySignature(
+  secret,
+  headers,
+  body,
+  { toleranceSeconds = 300 } = {}
+) {
+  const timestamp = headers[TIMESTAMP_HEADER.toLowerCase()];
+  const signature = headers[SIGNATURE_HEADER.toLowerCase()] || "";
+  if (!timestamp) return false;
+
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!(age <= toleranceSeconds)) return false;
+
+  const expected = `sha256=${signPayload(secret, timestamp, body)}`;
+  return (
+    expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))
+  );
+}
+
+/**
+ * Creates the webhook sender for one job. Final results (`notify`) are retried
+ * with exponential backoff; progress events (`notifyProgress`) are sent once,
+ * best effort, and only for the events listed in `events`. Every attempt is
+ * recorded in `deliveries` and passed to `onDelivery` once it finishes.
+ */
+export function createWebhookNotifier(
+  webhookUrl,
+  {
+    secret,
+    events = [],
+    maxAttempts = 5,
+    backoffMs = 1000,
+    timeoutMs = 10000,
+    onDelivery = () => {},
+  } = {}
+) {
+  const deliveries = [];
+  let lastDelivery = Promise.resolve();
+  let lastProgressEvent = { status: null, progress: -Infinity };
+
+  async function send(payload, attempts) {
+    const body = JSON.stringify(payload);
+    const deliveryId = crypto.randomUUID();
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = {
+        "Content-Type": "application/json",
+        "X-Webhook-Event": payload.status,
+        "X-Webhook-Delivery": deliveryId,
+        [TIMESTAMP_HEADER]: timestamp,
+      };
+      if (secret) {
+        headers[SIGNATURE_HEADER] =
+          `sha256=${signPayload(secret, timestamp, body)}`;
+      }
+
+      const delivery = {
+        deliveryId,
+        event: payload.status,
+        attempt,
+        statusCode: null,
+        error: null,
+        durationMs: 0,
+        timestamp: new Date().toISOString(),
+      };
+      deliveries.push(delivery);
+
+      const startedAt = Date.now();
+      try {
+        const response = await axios.post(webhookUrl, body, {
+          headers,
+          timeout: timeoutMs,
+        });
+        delivery.statusCode = response.status;
+        delivery.durationMs = Date.now() - startedAt;
+        log.info("Webhook delivered", {
+          event: payload.status,
+          attempt,
+          statusCode: response.status,
+        });
+        onDelivery(delivery);
+        return;
+      } catch (error) {
+        delivery.statusCode = error.response?.status ?? null;
+        delivery.error = error.message;
+        delivery.durationMs = Date.now() - startedAt;
+        log.error("Webhook attempt failed", {
+          event: payload.status,
+          attempt,
+          attempts,
+          statusCode: delivery.statusCode,
+          error: error.message,
+        });
+        onDelivery(delivery);
+
+        if (attempt === attempts || !isRetryable(error)) throw error;
+
+        await new Promise((resolve) =>
+          setTimeout(resolve, backoffMs * 2 ** (attempt - 1))
+        );
+      }
+    }
+  }
+
+  // Deliveries go out one at a time so the receiver sees them in order
+  function enqueue(payload, attempts) {
+    const delivery = lastDelivery.then(() => send(payload, attempts));
+    lastDelivery = delivery.catch(() => {});
+    return delivery;
+  }
+
+  function notify(result) {
+    log.info("Notifying webhook", { webhookUrl, event: result.status });
+    return enqueue(result, maxAttempts);
+  }
+
+  function notifyProgress(status, { progress = 0, ...details } = {}) {
+    if (!events.includes(status)) return;
+
+    const isNewPhase = status !== lastProgressEvent.status;
+    if (
+      !isNewPhase &&
+      progress < lastProgressEvent.progress + PROGRESS_EVENT_STEP
+    ) {
+      return;
+    }
+
+    lastProgressEvent = { status, progress };
+    enqueue({ status, progress, ...details }, 1).catch(() => {});
+  }
+
+  return { notify, notifyProgress, deliveries };
+}
+
+// Retry timeouts, network errors, rate limiting and server errors; other 4xx
+// responses will not succeed on a second try
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (!status) return true;
+  return status === 408 || status === 429 || status >= 500;
+}
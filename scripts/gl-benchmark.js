@@ -0,0 +1,45 @@
+import { parseArgs } from "util";
+import puppeteer from "puppeteer";
+import { BENCHMARK_DEFAULTS, runGlBenchmark } from "../lib/gl-benchmark.js";
+import { BENCHMARK_SCENES } from "../lib/benchmark-scenes.js";
+import { GPU_PROFILES } from "../lib/gpu-report.js";
+
+// Benchmarks the reference scenes under each GPU flag profile and prints the
+// JSON report to stdout:
+//
+//   pnpm gl-benchmark --profiles swiftshader,angle --duration 5
+const { values } = parseArgs({
+  options: {
+    profiles: { type: "string", default: Object.keys(GPU_PROFILES).join(",") },
+    scenes: {
+      type: "string",
+      default: Object.keys(BENCHMARK_SCENES).join(","),
+    },
+    duration: {
+      type: "string",
+      default: String(BENCHMARK_DEFAULTS.durationMs / 1000),
+    },
+  },
+});
+
+const profiles = values.profiles.split(",");
+for (const profile of profiles) {
+  if (!GPU_PROFILES[profile]) {
+    console.error(
+      `Unknown profile "${profile}", expected: ${Object.keys(GPU_PROFILES).join(", ")}`
+    );
+    process.exit(1);
+  }
+}
+
+const report = await runGlBenchmark({
+  launch: (profile) =>
+    puppeteer.launch({ headless: true, args: GPU_PROFILES[profile] }),
+  profiles,
+  scenes: values.scenes.split(","),
+  durationMs: parseFloat(values.duration) * 1000,
+  onProgress: ({ profile, scene }) =>
+    console.error(`Benchmarking ${scene} with the ${profile} profile...`),
+});
+
+console.log(JSON.stringify(report, null, 2));
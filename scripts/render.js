@@ -0,0 +1,161 @@
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { parseArgs } from "util";
+import { OUTPUT_FORMATS } from "../lib/encoding.js";
+import { setLogLevel } from "../lib/logger.js";
+import { renderLocally, shutdown } from "../index.js";
+
+// Renders one animation on this machine with the worker's own capture and
+// encode pipeline, without storage or webhooks:
+//
+//   pnpm render --input job.json --html anim.html --out out.mp4 \
+//     --width 1080 --height 1920
+//
+// --input is a job payload (jobId and webhookUrl may be left out); --html,
+// --width, --height, --fps, --capture-mode, --duration and --segments (a
+// count or "auto") override it. For a job with variants, --variant picks the
+// one to render (default: the first). --data reads the template data from a
+// JSON file; for a batch job, --record picks the record to render (default:
+// 0). The output format follows the extension of --out. --keep-frames writes
+// the captured frames to disk instead of streaming them into FFmpeg, and
+// leaves them and the intermediate files in place and prints where.
+const { values } = parseArgs({
+  options: {
+    input: { type: "string" },
+    html: { type: "string" },
+    out: { type: "string" },
+    width: { type: "string" },
+    height: { type: "string" },
+    fps: { type: "string" },
+    "capture-mode": { type: "string" },
+    duration: { type: "string" },
+    segments: { type: "string" },
+    variant: { type: "string" },
+    data: { type: "string" },
+    record: { type: "string" },
+    "keep-frames": { type: "boolean", default: false },
+    verbose: { type: "boolean", default: false },
+  },
+});
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+if (!values.out) fail("--out is required");
+const extension = path.extname(values.out).slice(1).toLowerCase();
+const format = Object.keys(OUTPUT_FORMATS).find(
+  (name) => OUTPUT_FORMATS[name].extension === extension
+);
+if (!format) {
+  fail(
+    `Cannot tell the format of "${values.out}", expected one of: ${Object.values(
+      OUTPUT_FORMATS
+    )
+      .map((entry) => `.${entry.extension}`)
+      .join(", ")}`
+  );
+}
+
+const job = values.input
+  ? JSON.parse(await fs.readFile(values.input, "utf8"))
+  : {};
+const input = job.input ?? job;
+input.jobId ??= "local";
+if (values.html) {
+  input.animationCode = {
+    ...input.animationCode,
+    htmlContent: await fs.readFile(values.html, "utf8"),
+  };
+  delete input.template;
+}
+if (values.data) {
+  input.data = JSON.parse(await fs.readFile(values.data, "utf8"));
+  delete input.batch;
+}
+if (values.width || values.height) {
+  input.dimensions = {
+    ...input.dimensions,
+    ...(values.width && { width: parseInt(values.width, 10) }),
+    ...(values.height && { height: parseInt(values.height, 10) }),
+  };
+}
+if (values.fps) input.fps = parseInt(values.fps, 10);
+if (values["capture-mode"]) input.captureMode = values["capture-mode"];
+if (values.duration) input.duration = parseFloat(values.duration);
+if (values.segments) {
+  input.segments =
+    values.segments === "auto" ? "auto" : parseInt(values.segments, 10);
+}
+
+// Render only the file asked for, keeping its settings from the job if any
+const { name, ...output } = input.outputs?.find(
+  (candidate) => candidate.format === format
+) ?? { format };
+input.outputs = [output];
+// Previews are not written out, so they are not generated either
+input.previews = false;
+
+if (!values.verbose) setLogLevel("warn");
+
+const controller = new AbortController();
+process.once("SIGINT", () => {
+  console.error("\nCancelling...");
+  controller.abort();
+});
+
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "render-"));
+const startedAt = Date.now();
+let lastLine = "";
+const showProgress = ({ state, progress, frameCount }) => {
+  if (!state) return;
+  const line = `${state.padEnd(9)} ${String(progress).padStart(3)}%${
+    frameCount ? `  ${frameCount} frames` : ""
+  }`;
+  if (line === lastLine) return;
+  lastLine = line;
+  if (process.stderr.isTTY) {
+    process.stderr.write(`\r${line}\x1b[K`);
+  } else {
+    process.stderr.write(`${line}\n`);
+  }
+};
+
+let exitCode = 0;
+try {
+  const { capture, encodedFiles } = await renderLocally(input, {
+    workDir,
+    variant: values.variant,
+    record: values.record ? parseInt(values.record, 10) : 0,
+    keepFrames: values["keep-frames"],
+    signal: controller.signal,
+    onProgress: showProgress,
+  });
+  if (process.stderr.isTTY) process.stderr.write("\n");
+
+  await fs.mkdir(path.dirname(path.resolve(values.out)), { recursive: true });
+  await fs.copyFile(encodedFiles[0].outputPath, values.out);
+  console.error(
+    `Wrote ${values.out}: ${capture.frameCount} frames at ${capture.fps} fps ` +
+      `(${capture.duration.seconds}s, ${capture.duration.source}) in ` +
+      `${((Date.now() - startedAt) / 1000).toFixed(1)}s`
+  );
+} catch (error) {
+  if (process.stderr.isTTY) process.stderr.write("\n");
+  console.error(
+    controller.signal.aborted
+      ? "Render cancelled"
+      : `Render failed: ${error.message}`
+  );
+  exitCode = 1;
+} finally {
+  if (values["keep-frames"]) {
+    console.error(`Frames and intermediate files kept in ${workDir}`);
+  } else {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+  await shutdown();
+}
+process.exit(exitCode);
@@ -0,0 +1,97 @@
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { VISUAL_FIXTURES } from "../lib/visual-fixtures.js";
+import {
+  runVisualRegression,
+  writeVisualReport,
+} from "../lib/visual-regression.js";
+
+// Renders the fixture animations with the worker's own pipeline under
+// SwiftShader, compares frames at fixed timestamps with the golden PNGs in
+// test/visual/golden and checks each MP4 with ffprobe. Writes an HTML diff
+// report and exits 1 on any failure:
+//
+//   pnpm visual-regression --fixtures shapes,text --report out/visual
+//
+// --update replaces the golden images with this run's frames; run it in the
+// worker image so goldens match what production renders.
+const rootDir = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const { values } = parseArgs({
+  options: {
+    fixtures: {
+      type: "string",
+      default: Object.keys(VISUAL_FIXTURES).join(","),
+    },
+    golden: {
+      type: "string",
+      default: path.join(rootDir, "test/visual/golden"),
+    },
+    report: {
+      type: "string",
+      default: path.join(rootDir, "out/visual-regression"),
+    },
+    update: { type: "boolean", default: false },
+    verbose: { type: "boolean", default: false },
+  },
+});
+
+const fixtures = values.fixtures.split(",");
+for (const fixture of fixtures) {
+  if (!VISUAL_FIXTURES[fixture]) {
+    console.error(
+      `Unknown fixture "${fixture}", expected: ${Object.keys(VISUAL_FIXTURES).join(", ")}`
+    );
+    process.exit(1);
+  }
+}
+
+// Golden images are rendered on the CPU so any Linux box reproduces them.
+// CONFIG reads these on import, so the worker is loaded after setting them.
+process.env.CHROME_GL_MODE = "swiftshader";
+if (!values.verbose) process.env.LOG_LEVEL = "warn";
+const { renderLocally, shutdown } = await import("../index.js");
+
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "visual-"));
+let exitCode = 0;
+try {
+  const report = await runVisualRegression({
+    render: renderLocally,
+    goldenDir: values.golden,
+    workDir,
+    fixtures,
+    update: values.update,
+    onProgress: ({ fixture }) => console.error(`Rendering ${fixture}...`),
+  });
+  const reportPath = await writeVisualReport(report, values.report);
+
+  for (const result of report.results) {
+    console.error(`${result.passed ? "PASS" : "FAIL"} ${result.fixture}`);
+    if (result.error) console.error(`  ${result.error}`);
+    for (const frame of result.frames ?? []) {
+      if (frame.updated) {
+        console.error(`  ${frame.timestamp}s: golden updated`);
+      } else if (!frame.passed) {
+        console.error(
+          `  ${frame.timestamp}s: ${
+            frame.error ?? `SSIM ${frame.ssim}, PSNR ${frame.psnr} dB`
+          }`
+        );
+      }
+    }
+    for (const problem of result.video?.problems ?? []) {
+      console.error(`  video ${problem}`);
+    }
+  }
+  console.error(`Report: ${reportPath}`);
+  if (!report.passed) exitCode = 1;
+} catch (error) {
+  console.error(`Visual regression failed: ${error.message}`);
+  exitCode = 1;
+} finally {
+  await fs.rm(workDir, { recursive: true, force: true });
+  await shutdown();
+}
+process.exit(exitCode);
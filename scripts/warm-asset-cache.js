@@ -0,0 +1,32 @@
+import { createAssetCache } from "../lib/asset-cache.js";
+
+// Downloads the given URLs into the asset cache so renders can run with
+// ASSET_CACHE_OFFLINE=true, e.g. while building an image:
+//
+//   pnpm warm-asset-cache https://cdnjs.cloudflare.com/ajax/libs/gsap/3.12.5/gsap.min.js
+const urls = process.argv.slice(2);
+if (urls.length === 0) {
+  console.error("Usage: warm-asset-cache <url> [<url> ...]");
+  process.exit(1);
+}
+
+const assetCache = createAssetCache({
+  dir: process.env.ASSET_CACHE_DIR || "./cache/assets",
+  ...(process.env.ASSET_CACHE_HOSTS && {
+    hosts: process.env.ASSET_CACHE_HOSTS.split(",").map((host) => host.trim()),
+  }),
+});
+
+let failed = 0;
+for (const url of urls) {
+  try {
+    const cached = await assetCache.prefetch(url);
+    console.log(`[Cache] ${cached ? "Cached" : "Not cacheable"}: ${url}`);
+    if (!cached) failed++;
+  } catch (error) {
+    console.error(`[Cache] Failed to fetch ${url}:`, error.message);
+    failed++;
+  }
+}
+
+process.exit(failed > 0 ? 1 : 0);
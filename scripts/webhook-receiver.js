@@ -0,0 +1,47 @@
+import express from "express";
+import { verifySignature } from "../lib/webhook.js";
+
+// Local webhook receiver for development. Verifies signatures when
+// WEBHOOK_SECRET is set and can fail the first FAIL_FIRST deliveries to
+// exercise the worker's retry behaviour.
+const PORT = process.env.PORT || 4000;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+let failuresLeft = parseInt(process.env.FAIL_FIRST || "0", 10);
+
+const app = express();
+
+app.use(express.text({ type: "application/json" }));
+
+app.post("*path", (req, res) => {
+  const event = req.get("X-Webhook-Event");
+  const delivery = req.get("X-Webhook-Delivery");
+  const signatureValid = WEBHOOK_SECRET
+    ? verifySignature(WEBHOOK_SECRET, req.headers, req.body)
+    : null;
+
+  console.log(
+    `[Receiver] ${event} delivery ${delivery} (signature ${
+      signatureValid === null
+        ? "not checked"
+        : signatureValid
+          ? "ok"
+          : "INVALID"
+    }):`,
+    req.body
+  );
+
+  if (signatureValid === false) {
+    return res.status(401).json({ error: "Invalid signature" });
+  }
+
+  if (failuresLeft > 0) {
+    failuresLeft--;
+    return res.status(503).json({ error: "Simulated failure" });
+  }
+
+  res.json({ received: true });
+});
+
+app.listen(PORT, "127.0.0.1", () => {
+  console.log(`[Receiver] Listening on http://127.0.0.1:${PORT}`);
+});
@@ -2,104 +2,69 @@ import puppeteer from "puppeteer";
 import express from "express";
 import fs from "fs";
 import path from "path";
+import {
+  collectGpuReport,
+  DEFAULT_GPU_PROFILE,
+  GPU_PROFILES,
+} from "./lib/gpu-report.js";
+import { runGlBenchmark } from "./lib/gl-benchmark.js";
+import { BENCHMARK_SCENES } from "./lib/benchmark-scenes.js";
 
 // Configuration
 const SCREENSHOT_FILE = "./chrome-gpu-screenshot_container.png";
 const PORT = process.env.PORT || 8080;
 
 /**
- * Takes a screenshot of chrome://gpu using Puppeteer with auto-downloaded Chrome
+ * Launches Chrome with one of the GPU flag profiles from lib/gpu-report.js
  */
-async function screenshotGpuPage(outputPath = SCREENSHOT_FILE) {
-  let browser = null;
-
-  try {
-    console.log("Launching Chrome with Puppeteer (auto-download if needed)...");
-
-    // Launch browser - Use system Chromium in container
-    browser = await puppeteer.launch({
-      headless: true, // Set to false if you want to see the browser
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-extensions",
-        "--disable-sync",
-        "--disable-translate",
-        "--no-first-run",
-        // '--no-zygote',
-        "--mute-audio",
-        // '--enable-unsafe-swiftshader',
-        "--force-device-scale-factor=2",
-        "--high-dpi-support=1",
-        "--font-render-hinting=full",
-        "--enable-font-antialiasing",
-        "--disable-lcd-text",
-        "--enable-accelerated-2d-canvas",
-        "--enable-zero-copy",
-        "--disable-web-security",
-        "--allow-running-insecure-content",
-        "--autoplay-policy=no-user-gesture-required",
-        "--disable-background-media-suspend",
-        "--disable-backgrounding-occluded-windows",
-        "--enable-gpu",
-        "--use-gl=angle",
-        "--use-angle=gl-egl",
-        "--headless=new",
-        "--enable-webgl",
-        "--enable-webgl2-compute-context",
-        "--ignore-gpu-blacklist",
-        "--ignore-gpu-blocklist",
-        "--disable-frame-rate-limit",
-        "--disable-gpu-vsync",
-        // '--disable-accelerated-2d-canvas=false',
-        // '--disable-accelerated-video-decode=false',
-        "--enable-accelerated-2d-canvas",
-        "--enable-accelerated-video-decode",
-        "--disable-software-rasterizer",
-        "--enable-accelerated-video-encode",
-        "--enable-hardware-overlays",
-        "--enable-gpu-memory-buffer-video-frames",
-        "--enable-native-gpu-memory-buffers",
-        "--enable-features=VaapiVideoEncoder",
-        "--enable-features=VaapiVideoDecoder",
-      ],
-    });
-
-    console.log("Chrome launched successfully");
-    console.log("Opening new page...");
-
-    const page = await browser.newPage();
-
-    // Set viewport size for consistent screenshots
-    await page.setViewport({
-      width: 1920,
-      height: 1080,
-      deviceScaleFactor: 1,
-    });
+async function launchGpuBrowser(profile = DEFAULT_GPU_PROFILE) {
+  console.log(`Launching Chrome with the ${profile} GPU profile...`);
+  const browser = await puppeteer.launch({
+    headless: true,
+    args: GPU_PROFILES[profile],
+  });
+  console.log("Chrome launched successfully");
+  return browser;
+}
 
-    console.log("Navigating to chrome://gpu...");
+/**
+ * Opens chrome://gpu in `browser` and returns a full-page PNG of it
+ */
+async function captureGpuPage(browser) {
+  const page = await browser.newPage();
+
+  // Set viewport size for consistent screenshots
+  await page.setViewport({
+    width: 1920,
+    height: 1080,
+    deviceScaleFactor: 1,
+  });
 
-    // Navigate to chrome://gpu
-    await page.goto("chrome://gpu", {
-      waitUntil: "domcontentloaded",
-      timeout: 30000,
-    });
+  console.log("Navigating to chrome://gpu...");
+  await page.goto("chrome://gpu", {
+    waitUntil: "domcontentloaded",
+    timeout: 30000,
+  });
 
-    console.log("Page loaded, taking screenshot...");
+  console.log("Page loaded, taking screenshot...");
+  const screenshot = await page.screenshot({ fullPage: true, type: "png" });
+  await page.close();
+  return Buffer.from(screenshot);
+}
 
-    // Take full-page screenshot
-    await page.screenshot({
-      path: outputPath,
-      fullPage: true,
-      type: "png",
-    });
+/**
+ * Takes a screenshot of chrome://gpu using Puppeteer with auto-downloaded Chrome
+ */
+async function screenshotGpuPage(
+  outputPath = SCREENSHOT_FILE,
+  profile = DEFAULT_GPU_PROFILE
+) {
+  let browser = null;
 
+  try {
+    browser = await launchGpuBrowser(profile);
+    fs.writeFileSync(outputPath, await captureGpuPage(browser));
     console.log(`Screenshot saved: ${outputPath}`);
-
-    // Optional: Get page title
-    const title = await page.title();
-    console.log(`Page title: ${title}`);
-
     return outputPath;
   } catch (error) {
     throw new Error(`Failed to take screenshot: ${error.message}`);
@@ -111,6 +76,36 @@ async function screenshotGpuPage(outputPath = SCREENSHOT_FILE) {
   }
 }
 
+/**
+ * Builds the JSON GPU capability report, optionally with the chrome://gpu
+ * screenshot attached as base64
+ */
+async function gpuReport(profile, { includeScreenshot = false } = {}) {
+  let browser = null;
+
+  try {
+    browser = await launchGpuBrowser(profile);
+    const report = await collectGpuReport(browser);
+    return {
+      profile,
+      args: GPU_PROFILES[profile],
+      generatedAt: new Date().toISOString(),
+      ...report,
+      ...(includeScreenshot && {
+        screenshot: {
+          contentType: "image/png",
+          base64: (await captureGpuPage(browser)).toString("base64"),
+        },
+      }),
+    };
+  } finally {
+    if (browser) {
+      await browser.close();
+      console.log("Browser closed");
+    }
+  }
+}
+
 /**
  * Express server setup
  */
@@ -129,8 +124,13 @@ app.get("/screenshot", async (req, res) => {
   try {
     console.log("📷 Screenshot request received");
 
+    const profile = req.query.profile || DEFAULT_GPU_PROFILE;
+    if (!GPU_PROFILES[profile]) {
+      return res.status(400).json({ error: `Unknown GPU profile: ${profile}` });
+    }
+
     // Take the screenshot
-    const screenshotPath = await screenshotGpuPage();
+    const screenshotPath = await screenshotGpuPage(SCREENSHOT_FILE, profile);
 
     // Check if file exists
     if (!fs.existsSync(screenshotPath)) {
@@ -185,6 +185,85 @@ app.get("/screenshot-info", async (req, res) => {
   }
 });
 
+// Machine-readable GPU/WebGL capabilities for one launch flag profile
+app.get("/gpu-report", async (req, res) => {
+  const profile = req.query.profile || DEFAULT_GPU_PROFILE;
+  if (!GPU_PROFILES[profile]) {
+    return res.status(400).json({
+      error: `Unknown GPU profile: ${profile}`,
+      profiles: Object.keys(GPU_PROFILES),
+    });
+  }
+
+  try {
+    console.log(`🧪 GPU report requested (${profile})`);
+    const report = await gpuReport(profile, {
+      includeScreenshot: req.query.screenshot === "true",
+    });
+    res.json(report);
+    console.log("✅ GPU report served successfully");
+  } catch (error) {
+    console.error("❌ GPU report error:", error.message);
+    res.status(500).json({
+      error: "Failed to build GPU report",
+      message: error.message,
+    });
+  }
+});
+
+// Reference scene benchmark across GPU flag profiles. Runs one at a time,
+// since concurrent runs would skew each other's numbers.
+let benchmarkRunning = false;
+app.get("/gl-benchmark", async (req, res) => {
+  const profiles = (req.query.profiles || Object.keys(GPU_PROFILES).join(","))
+    .split(",")
+    .filter(Boolean);
+  const scenes = (
+    req.query.scenes || Object.keys(BENCHMARK_SCENES).join(",")
+  ).split(",");
+  const durationSeconds = parseFloat(req.query.duration || "5");
+
+  const unknown = [
+    ...profiles.filter((profile) => !GPU_PROFILES[profile]),
+    ...scenes.filter((scene) => !BENCHMARK_SCENES[scene]),
+  ];
+  if (unknown.length > 0 || !(durationSeconds > 0 && durationSeconds <= 60)) {
+    return res.status(400).json({
+      error: unknown.length
+        ? `Unknown profile or scene: ${unknown.join(", ")}`
+        : "duration must be between 0 and 60 seconds",
+      profiles: Object.keys(GPU_PROFILES),
+      scenes: Object.keys(BENCHMARK_SCENES),
+    });
+  }
+  if (benchmarkRunning) {
+    return res.status(409).json({ error: "A benchmark is already running" });
+  }
+
+  benchmarkRunning = true;
+  try {
+    console.log(`⏱️ GL benchmark requested (${profiles.join(", ")})`);
+    const report = await runGlBenchmark({
+      launch: launchGpuBrowser,
+      profiles,
+      scenes,
+      durationMs: durationSeconds * 1000,
+      onProgress: ({ profile, scene }) =>
+        console.log(`Benchmarking ${scene} with the ${profile} profile...`),
+    });
+    res.json(report);
+    console.log("✅ GL benchmark served successfully");
+  } catch (error) {
+    console.error("❌ GL benchmark error:", error.message);
+    res.status(500).json({
+      error: "Failed to run GL benchmark",
+      message: error.message,
+    });
+  } finally {
+    benchmarkRunning = false;
+  }
+});
+
 // Root endpoint with usage info
 app.get("/", (req, res) => {
   res.json({
@@ -193,6 +272,11 @@ app.get("/", (req, res) => {
       "/": "This help message",
       "/health": "Health check",
       "/screenshot": "Take and download GPU screenshot (PNG)",
+      "/gpu-report": `GPU/WebGL capabilities as JSON (?profile=${Object.keys(
+        GPU_PROFILES
+      ).join("|")}, ?screenshot=true to attach the PNG)`,
+      "/gl-benchmark":
+        "Reference scene fps, frame times, CPU and memory per GPU profile (?profiles=, ?scenes=, ?duration=seconds)",
       "/screenshot-info": "Get screenshot metadata",
     },
     usage:
@@ -210,6 +294,8 @@ function startServer() {
     console.log(`   • GET /health - Health check`);
     console.log(`   • GET /screenshot - Take and download screenshot`);
     console.log(`   • GET /screenshot-info - Get screenshot metadata`);
+    console.log(`   • GET /gpu-report - GPU/WebGL capabilities as JSON`);
+    console.log(`   • GET /gl-benchmark - Benchmark GPU flag profiles`);
     console.log(`   • GET / - Usage information`);
   });
 }
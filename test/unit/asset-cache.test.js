@@ -0,0 +1,148 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, test } from "node:test";
+import { createAssetCache, matchesHost } from "../../lib/asset-cache.js";
+
+const GSAP_CDNJS =
+  "https://cdnjs.cloudflare.com/ajax/libs/gsap/3.12.5/gsap.min.js";
+const GSAP_JSDELIVR =
+  "https://cdn.jsdelivr.net/npm/gsap@3.12.5/dist/gsap.min.js";
+
+let dir;
+let fetched;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "asset-cache-test-"));
+  fetched = [];
+});
+
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+// A page whose route handler is driven by `request(url)`
+async function attachPage(cache, { bodySize = 4 } = {}) {
+  let handler;
+  const session = await cache.attach({
+    route: async (pattern, fn) => (handler = fn),
+  });
+
+  const request = async (url, method = "GET") => {
+    let outcome;
+    await handler({
+      request: () => ({ url: () => url, method: () => method }),
+      fetch: async () => {
+        fetched.push(url);
+        return {
+          status: () => 200,
+          headers: () => ({ "content-type": "text/plain", "set-cookie": "x" }),
+          body: async () => Buffer.alloc(bodySize, url.length),
+        };
+      },
+      fulfill: async (response) => (outcome = { fulfilled: response }),
+      continue: async () => (outcome = { continued: true }),
+      abort: async (code) => (outcome = { aborted: code }),
+    });
+    return outcome;
+  };
+  return { session, request };
+}
+
+test("stores a response and serves the next request from disk", async () => {
+  const url = "https://fonts.gstatic.com/s/inter.woff2";
+  const first = await attachPage(createAssetCache({ dir }));
+  await first.request(url);
+
+  const second = await attachPage(createAssetCache({ dir }));
+  const { fulfilled } = await second.request(url);
+
+  assert.deepEqual(fetched, [url]);
+  assert.deepEqual(fulfilled.headers, { "content-type": "text/plain" });
+  assert.equal(first.session.stats().stored, 1);
+  assert.equal(second.session.stats().hits, 1);
+});
+
+test("shares pinned libraries across CDNs", async () => {
+  const { request, session } = await attachPage(createAssetCache({ dir }));
+  await request(GSAP_CDNJS);
+  await request(GSAP_JSDELIVR);
+
+  assert.deepEqual(fetched, [GSAP_CDNJS]);
+  await fs.access(path.join(dir, "libraries/gsap@3.12.5/gsap.min.js.body"));
+  assert.equal(session.stats().hits, 1);
+});
+
+test("ignores access tokens when keying entries", async () => {
+  const { request } = await attachPage(createAssetCache({ dir }));
+  await request("https://api.mapbox.com/styles/v1/x?access_token=a");
+  await request("https://api.mapbox.com/styles/v1/x?access_token=b");
+  assert.equal(fetched.length, 1);
+});
+
+test("passes through hosts and methods it does not cache", async () => {
+  const { request, session } = await attachPage(createAssetCache({ dir }));
+  assert.deepEqual(await request("https://example.com/a.js"), {
+    continued: true,
+  });
+  assert.deepEqual(await request("https://unpkg.com/x", "POST"), {
+    continued: true,
+  });
+  assert.deepEqual(fetched, []);
+  assert.equal(session.stats().bypassed, 1);
+});
+
+test("shares one fetch between concurrent requests", async () => {
+  const { request } = await attachPage(createAssetCache({ dir }));
+  const url = "https://unpkg.com/lib@1/index.js";
+  await Promise.all([request(url), request(url), request(url)]);
+  assert.deepEqual(fetched, [url]);
+});
+
+test("evicts the least recently used entries past maxBytes", async () => {
+  const cache = createAssetCache({ dir, maxBytes: 10 });
+  const { request } = await attachPage(cache, { bodySize: 4 });
+  const [a, b, c] = ["a", "b", "c"].map((name) => `https://unpkg.com/${name}`);
+
+  await request(a);
+  await request(b);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await request(a);
+  await request(c);
+  await request(a);
+  await request(b);
+
+  // b was the oldest when c pushed the cache past 10 bytes
+  assert.deepEqual(fetched, [a, b, c, b]);
+  assert.ok(cache.stats().bytes <= 10);
+});
+
+test("offline mode blocks uncached requests and reports them", async () => {
+  const { request } = await attachPage(createAssetCache({ dir }));
+  await request(GSAP_CDNJS);
+
+  const offline = await attachPage(createAssetCache({ dir, offline: true }));
+  assert.ok((await offline.request(GSAP_JSDELIVR)).fulfilled);
+  assert.deepEqual(await offline.request("https://unpkg.com/missing.js"), {
+    aborted: "internetdisconnected",
+  });
+  assert.deepEqual(await offline.request("https://example.com/x"), {
+    aborted: "internetdisconnected",
+  });
+
+  assert.equal(fetched.length, 1);
+  assert.equal(offline.session.stats().blocked, 2);
+  assert.throws(
+    () => offline.session.assertComplete(),
+    /no copy of 2 requested asset\(s\): https:\/\/unpkg\.com\/missing\.js/
+  );
+});
+
+test("wildcard host patterns match subdomains only", () => {
+  assert.equal(matchesHost("a.tiles.mapbox.com", "*.tiles.mapbox.com"), true);
+  assert.equal(matchesHost("tiles.mapbox.com", "*.tiles.mapbox.com"), false);
+  assert.equal(
+    matchesHost("eviltiles.mapbox.com", "*.tiles.mapbox.com"),
+    false
+  );
+  assert.equal(matchesHost("unpkg.com", "unpkg.com"), true);
+});
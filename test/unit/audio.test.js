@@ -0,0 +1,106 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { normalizeAudio, prepareAudioSources } from "../../lib/audio.js";
+
+test("fills in defaults for the background track and effects", () => {
+  assert.deepEqual(
+    normalizeAudio({
+      background: { src: "https://example.com/music.mp3" },
+      effects: [{ src: "click.wav", at: 1.5 }],
+    }),
+    {
+      background: {
+        src: "https://example.com/music.mp3",
+        volume: 1,
+        loop: false,
+        trimStart: 0,
+        trimEnd: null,
+        fadeIn: 0,
+        fadeOut: 0,
+      },
+      effects: [
+        {
+          src: "click.wav",
+          at: 1.5,
+          volume: 1,
+          trimStart: 0,
+          duration: null,
+        },
+      ],
+    }
+  );
+});
+
+test("treats missing or empty audio as none", () => {
+  assert.equal(normalizeAudio(undefined), null);
+  assert.equal(normalizeAudio({ effects: [] }), null);
+});
+
+test("rejects invalid settings with the field named", () => {
+  assert.throws(
+    () => normalizeAudio({ effects: [{ src: "a.wav" }] }),
+    /audio\.effects\[0\]\.at/
+  );
+  assert.throws(
+    () =>
+      normalizeAudio({
+        background: { src: "a.mp3", trimStart: 5, trimEnd: 2 },
+      }),
+    /trimEnd must be after trimStart/
+  );
+  assert.throws(
+    () => normalizeAudio({ background: { src: "a.mp3", volume: -1 } }),
+    /audio\.background\.volume/
+  );
+});
+
+test("refuses to download sources from internal addresses", async () => {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "audio-test-"));
+  try {
+    for (const src of [
+      "http://127.0.0.1/music.mp3",
+      "http://localhost:8080/music.mp3",
+      "http://[::ffff:127.0.0.1]/music.mp3",
+      "http://169.254.169.254/latest/meta-data",
+      "http://[::ffff:a9fe:a9fe]/latest/meta-data",
+    ]) {
+      await assert.rejects(
+        prepareAudioSources(normalizeAudio({ background: { src } }), workDir, {
+          assetsDir: null,
+        }),
+        /private address/,
+        src
+      );
+    }
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+});
+
+test("only reads local sources from inside the assets directory", async () => {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "audio-test-"));
+  try {
+    const assetsDir = path.join(workDir, "assets");
+    await fs.mkdir(assetsDir);
+    await fs.writeFile(path.join(assetsDir, "click.wav"), "");
+    const audio = (src) => normalizeAudio({ background: { src } });
+
+    assert.deepEqual(
+      await prepareAudioSources(audio("click.wav"), workDir, { assetsDir }),
+      [path.join(assetsDir, "click.wav")]
+    );
+    await assert.rejects(
+      prepareAudioSources(audio("../secret.wav"), workDir, { assetsDir }),
+      /outside the audio assets directory/
+    );
+    await assert.rejects(
+      prepareAudioSources(audio("click.wav"), workDir, { assetsDir: null }),
+      /not enabled/
+    );
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+});
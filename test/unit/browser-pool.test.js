@@ -0,0 +1,158 @@
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { test } from "node:test";
+import { setImmediate as tick } from "node:timers/promises";
+import { createBrowserPool, withTimeout } from "../../lib/browser-pool.js";
+
+// Stand-in for a Playwright browser that records what was done to it
+function createFakeBrowser(id) {
+  const browser = new EventEmitter();
+  Object.assign(browser, {
+    id,
+    connected: true,
+    closed: false,
+    killed: false,
+    openContexts: 0,
+    isConnected: () => browser.connected,
+    version: () => "1.0",
+    async newContext() {
+      browser.openContexts++;
+      return {
+        close: async () => {
+          browser.openContexts--;
+        },
+      };
+    },
+    async close() {
+      browser.closed = true;
+      browser.connected = false;
+    },
+  });
+  return browser;
+}
+
+function createFakeLauncher() {
+  const browsers = [];
+  const launch = async () => {
+    const browser = createFakeBrowser(browsers.length);
+    browsers.push(browser);
+    return {
+      browser,
+      kill: async () => {
+        browser.killed = true;
+      },
+    };
+  };
+  return { browsers, launch };
+}
+
+test("reuses one warm browser per profile", async () => {
+  const { browsers, launch } = createFakeLauncher();
+  const pool = createBrowserPool({ launch, maxConcurrency: 3 });
+  const first = await pool.acquire("default");
+  const second = await pool.acquire("default");
+  const mapbox = await pool.acquire("mapbox");
+
+  assert.equal(first.browser, second.browser);
+  assert.notEqual(mapbox.browser, first.browser);
+  assert.equal(browsers.length, 2);
+  assert.equal(browsers[0].openContexts, 2);
+  await Promise.all([first.release(), second.release(), mapbox.release()]);
+  assert.equal(browsers[0].openContexts, 0);
+  assert.equal(pool.stats().activeContexts, 0);
+  await pool.close();
+});
+
+test("hands a released slot straight to the next waiter", async () => {
+  const { launch } = createFakeLauncher();
+  const pool = createBrowserPool({ launch, maxConcurrency: 1 });
+  const first = await pool.acquire("default");
+
+  let secondAcquired = false;
+  const second = pool.acquire("default").then((lease) => {
+    secondAcquired = true;
+    return lease;
+  });
+  await tick();
+  assert.equal(secondAcquired, false);
+  assert.equal(pool.stats().waiting, 1);
+
+  await first.release();
+  const lease = await second;
+  assert.equal(pool.stats().activeContexts, 1);
+  assert.equal(pool.stats().waiting, 0);
+  await lease.release();
+  assert.equal(pool.stats().activeContexts, 0);
+  await pool.close();
+});
+
+test("stops waiting for a slot when the signal aborts", async () => {
+  const { launch } = createFakeLauncher();
+  const pool = createBrowserPool({ launch, maxConcurrency: 1 });
+  const first = await pool.acquire("default");
+  const controller = new AbortController();
+
+  const waiting = pool.acquire("default", {}, { signal: controller.signal });
+  controller.abort(new Error("cancelled"));
+  await assert.rejects(waiting, /cancelled/);
+  assert.equal(pool.stats().waiting, 0);
+
+  await first.release();
+  assert.equal(pool.stats().activeContexts, 0);
+  await pool.close();
+});
+
+test("recycles a browser after its job limit once its contexts close", async () => {
+  const { browsers, launch } = createFakeLauncher();
+  const pool = createBrowserPool({ launch, maxJobsPerBrowser: 2 });
+
+  const first = await pool.acquire("default");
+  const second = await pool.acquire("default");
+  await first.release();
+  assert.equal(browsers[0].closed, false);
+  await second.release();
+  assert.equal(browsers[0].closed, true);
+
+  const third = await pool.acquire("default");
+  assert.equal(third.browser, browsers[1]);
+  assert.equal(pool.stats().totals.recycled, 1);
+  await third.release();
+  await pool.close();
+});
+
+test("replaces a browser that crashed", async () => {
+  const { browsers, launch } = createFakeLauncher();
+  const pool = createBrowserPool({ launch });
+  await (await pool.acquire("default")).release();
+
+  browsers[0].connected = false;
+  browsers[0].emit("disconnected");
+  const lease = await pool.acquire("default");
+  assert.equal(lease.browser, browsers[1]);
+  assert.equal(pool.stats().totals.crashed, 1);
+  await lease.release();
+  await pool.close();
+});
+
+test("kill ends a hung browser and frees its slot", async () => {
+  const { browsers, launch } = createFakeLauncher();
+  const pool = createBrowserPool({ launch, maxConcurrency: 1 });
+  const lease = await pool.acquire("default");
+
+  await lease.kill();
+  assert.equal(browsers[0].killed, true);
+  assert.equal(pool.stats().activeContexts, 0);
+  assert.equal(pool.stats().totals.killed, 1);
+  const next = await pool.acquire("default");
+  assert.equal(next.browser, browsers[1]);
+  await next.release();
+  await pool.close();
+});
+
+test("withTimeout rejects when the promise takes too long", async () => {
+  assert.equal(await withTimeout(Promise.resolve(1), 50), 1);
+  await assert.rejects(
+    withTimeout(new Promise(() => {}), 10),
+    /Timed out after 10ms/
+  );
+});
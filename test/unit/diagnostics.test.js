@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { createDiagnostics } from "../../lib/diagnostics.js";
+
+test("redacts secrets and credentials in URLs from what it writes", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "diagnostics-test-"));
+  try {
+    const diagnostics = createDiagnostics(path.join(dir, "bundle"), {
+      secrets: ["sk-live-123", undefined],
+    });
+    diagnostics.recordFFmpeg({
+      args: ["-i", "https://cdn.example.com/a.mp3?X-Amz-Signature=abc&v=2"],
+      exitCode: 1,
+      stderr: "Server returned 403 for ?access_token=pk.xyz",
+    });
+    const bundlePath = await diagnostics.write({
+      jobId: "job-1",
+      error: { message: "Upload with key sk-live-123 failed" },
+    });
+
+    const summary = await fs.readFile(
+      path.join(dir, "bundle", "diagnostics.json"),
+      "utf8"
+    );
+    const ffmpegLog = await fs.readFile(
+      path.join(dir, "bundle", "ffmpeg-1.log"),
+      "utf8"
+    );
+    for (const secret of ["sk-live-123", "abc", "pk.xyz"]) {
+      assert.equal(summary.includes(secret), false, secret);
+      assert.equal(ffmpegLog.includes(secret), false, secret);
+    }
+    assert.match(summary, /Upload with key \[redacted\] failed/);
+    assert.match(ffmpegLog, /\?X-Amz-Signature=\[redacted\]&v=2/);
+    assert.match(ffmpegLog, /access_token=\[redacted\]/);
+    await fs.access(bundlePath);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
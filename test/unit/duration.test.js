@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+import { gsap } from "gsap";
+import {
+  detectAnimationDuration,
+  estimateDuration,
+} from "../../lib/duration.js";
+
+// Runs the page-side measurement against GSAP in this process
+globalThis.gsap = gsap;
+const page = { evaluate: async (fn, arg) => fn(arg) };
+const options = { loopCycles: 1, maxDuration: 600 };
+
+afterEach(() => {
+  gsap.globalTimeline.clear();
+  gsap.ticker.sleep();
+});
+
+test("an override wins without measuring", async () => {
+  assert.deepEqual(
+    await detectAnimationDuration(page, "", { ...options, override: 3 }),
+    { seconds: 3, source: "override", infinite: false }
+  );
+});
+
+test("measures nested timelines, delays and finite repeats", async () => {
+  const target = { x: 0 };
+  const tl = gsap.timeline({ delay: 0.5 });
+  tl.to(target, { x: 1, duration: 1 }).to(target, {
+    x: 2,
+    duration: 0.5,
+    repeat: 2,
+  });
+  gsap.to(target, { x: 3, duration: 1 });
+
+  const { seconds, source, infinite } = await detectAnimationDuration(
+    page,
+    "",
+    options
+  );
+  assert.equal(source, "timeline");
+  assert.equal(infinite, false);
+  // 0.5s delay + 1s + three 0.5s runs
+  assert.ok(Math.abs(seconds - 3) < 0.05, `${seconds}`);
+});
+
+test("counts infinite repeats for `loopCycles` cycles", async () => {
+  gsap.to({ x: 0 }, { x: 1, duration: 2, repeat: -1, repeatDelay: 0.5 });
+
+  const result = await detectAnimationDuration(page, "", {
+    ...options,
+    loopCycles: 3,
+  });
+  assert.equal(result.infinite, true);
+  assert.equal(result.loopCycles, 3);
+  assert.ok(Math.abs(result.seconds - 7.5) < 0.05, `${result.seconds}`);
+});
+
+test("clamps to the maximum duration", async () => {
+  gsap.to({ x: 0 }, { x: 1, duration: 900 });
+  const { seconds } = await detectAnimationDuration(page, "", options);
+  assert.equal(seconds, 600);
+});
+
+test("estimates from the source when nothing is scheduled", async () => {
+  assert.deepEqual(
+    await detectAnimationDuration(
+      page,
+      "gsap.to('#a', { duration: 4 })",
+      options
+    ),
+    { seconds: 4, source: "estimate", infinite: false }
+  );
+  assert.equal(estimateDuration("<div></div>"), 5);
+});
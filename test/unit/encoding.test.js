@@ -0,0 +1,105 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  canConcatOutputs,
+  canStreamOutputs,
+  getCaptureFormat,
+  normalizeOutputs,
+  shouldStreamFrames,
+} from "../../lib/encoding.js";
+
+test("defaults to a single medium-quality MP4 named video", () => {
+  assert.deepEqual(normalizeOutputs(), [
+    {
+      name: "video",
+      format: "mp4",
+      quality: "medium",
+      fps: undefined,
+      width: undefined,
+      height: undefined,
+      transparent: false,
+      extension: "mp4",
+      contentType: "video/mp4",
+      audioCodec: "aac",
+    },
+  ]);
+});
+
+test("names several outputs by format and position", () => {
+  const outputs = normalizeOutputs([
+    { format: "webm" },
+    { format: "gif" },
+    { format: "prores", name: "master" },
+  ]);
+  assert.deepEqual(
+    outputs.map(({ name }) => name),
+    ["webm-0", "gif-1", "master"]
+  );
+  // GIFs get a lower frame rate and ProRes keeps alpha unless told otherwise
+  assert.equal(outputs[1].fps, 15);
+  assert.equal(outputs[2].transparent, true);
+  assert.equal(outputs[2].extension, "mov");
+});
+
+test("rejects unknown formats and invalid settings", () => {
+  for (const [outputs, pattern] of [
+    [[], /non-empty list/],
+    [[{ format: "avi" }], /outputs\[0\]\.format must be one of/],
+    [[{ format: "mp4", quality: "best" }], /outputs\[0\]\.quality/],
+    [[{ format: "mp4", fps: 0 }], /outputs\[0\]\.fps/],
+    [[{ format: "mp4", width: 10.5 }], /outputs\[0\]\.width/],
+    [[{ format: "mp4", transparent: true }], /mp4 does not support/],
+    [
+      [
+        { format: "mp4", name: "a" },
+        { format: "webm", name: "a" },
+      ],
+      /outputs\[1\]\.name must be unique/,
+    ],
+  ]) {
+    assert.throws(() => normalizeOutputs(outputs), pattern);
+  }
+});
+
+test("captures lossless frames only when an output needs them", () => {
+  assert.deepEqual(getCaptureFormat(normalizeOutputs([{ format: "mp4" }])), {
+    frameFormat: "jpeg",
+    transparent: false,
+  });
+  assert.deepEqual(
+    getCaptureFormat(normalizeOutputs([{ format: "png-sequence" }])),
+    { frameFormat: "png", transparent: false }
+  );
+  assert.deepEqual(getCaptureFormat(normalizeOutputs([{ format: "prores" }])), {
+    frameFormat: "png",
+    transparent: true,
+  });
+});
+
+test("streams and joins segments only for formats that allow it", () => {
+  const videos = normalizeOutputs([{ format: "mp4" }, { format: "webm" }]);
+  const withGif = normalizeOutputs([{ format: "mp4" }, { format: "gif" }]);
+  const withPngs = normalizeOutputs([{ format: "png-sequence" }]);
+
+  assert.equal(canStreamOutputs(videos), true);
+  assert.equal(canStreamOutputs(withGif), true);
+  assert.equal(canStreamOutputs(withPngs), false);
+  assert.equal(canConcatOutputs(videos), true);
+  assert.equal(canConcatOutputs(withGif), false);
+});
+
+test("writes frames to disk when streaming is not allowed", () => {
+  const videos = normalizeOutputs([{ format: "mp4" }, { format: "webm" }]);
+  const withGif = normalizeOutputs([{ format: "mp4" }, { format: "gif" }]);
+
+  assert.equal(shouldStreamFrames(videos), true);
+  // FRAME_STREAMING=false, or the CLI's --keep-frames
+  assert.equal(shouldStreamFrames(videos, { allowed: false }), false);
+  assert.equal(shouldStreamFrames(videos, { segmented: true }), true);
+  assert.equal(shouldStreamFrames(withGif), true);
+  assert.equal(shouldStreamFrames(withGif, { segmented: true }), false);
+  assert.equal(
+    shouldStreamFrames(normalizeOutputs([{ format: "png-sequence" }])),
+    false
+  );
+});
@@ -0,0 +1,163 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { setTimeout as sleep } from "node:timers/promises";
+import {
+  createResourceBudget,
+  enterPhase,
+  JobTimeoutError,
+  limitFrameSink,
+  ResourceLimitError,
+  runInPhaseScope,
+  runWithDeadline,
+  sweepJobDirs,
+  sweepWorkerDirs,
+  workerDirName,
+} from "../../lib/guardrails.js";
+
+test("the resource budget fails the charge that goes over a limit", () => {
+  const budget = createResourceBudget({ maxFrames: 2, maxDiskBytes: 100 });
+  budget.charge({ frames: 2, diskBytes: 50 });
+  assert.equal(budget.frames, 2);
+  assert.throws(
+    () => budget.charge({ frames: 1 }),
+    (error) => error instanceof ResourceLimitError && error.limit === "frames"
+  );
+
+  const diskBudget = createResourceBudget({ maxFrames: 10, maxDiskBytes: 100 });
+  assert.throws(
+    () => diskBudget.charge({ diskBytes: 101 }),
+    (error) => error.limit === "diskBytes"
+  );
+});
+
+test("limited sinks charge frames, and disk bytes only on disk", () => {
+  const written = [];
+  const budget = createResourceBudget({ maxFrames: 3, maxDiskBytes: 10 });
+  const diskSink = limitFrameSink(
+    { mode: "disk", write: (buffer) => written.push(buffer) },
+    budget
+  );
+  const streamSink = limitFrameSink(
+    { mode: "stream", write: (buffer) => written.push(buffer) },
+    budget
+  );
+
+  diskSink.write(Buffer.alloc(4), 0);
+  streamSink.write(Buffer.alloc(100), 1);
+  assert.equal(budget.diskBytes, 4);
+  assert.throws(() => diskSink.write(Buffer.alloc(8), 2), ResourceLimitError);
+  assert.equal(written.length, 2);
+});
+
+test("a phase deadline aborts the job with the phase named", async () => {
+  const reason = await runWithDeadline({ timeoutMs: 5000 }, async (signal) => {
+    enterPhase("capture", 20);
+    await sleep(60);
+    return signal.reason;
+  });
+  assert.ok(reason instanceof JobTimeoutError);
+  assert.equal(reason.phase, "capture");
+});
+
+test("entering the next phase replaces the previous deadline", async () => {
+  const aborted = await runWithDeadline({ timeoutMs: 5000 }, async (signal) => {
+    enterPhase("page_load", 30);
+    enterPhase("capture");
+    await sleep(60);
+    return signal.aborted;
+  });
+  assert.equal(aborted, false);
+});
+
+test("the overall deadline reports the current phase", async () => {
+  const reason = await runWithDeadline({ timeoutMs: 20 }, async (signal) => {
+    enterPhase("encode");
+    await sleep(60);
+    return signal.reason;
+  });
+  assert.equal(reason.phase, "encode");
+  assert.match(reason.message, /^Job timed out after/);
+});
+
+test("phase scopes keep their own deadlines", async () => {
+  const aborted = await runWithDeadline({ timeoutMs: 5000 }, async (signal) => {
+    await Promise.all([
+      runInPhaseScope(async () => {
+        enterPhase("capture", 100);
+        await sleep(60);
+        enterPhase("done");
+      }),
+      runInPhaseScope(async () => {
+        await sleep(10);
+        // Would replace the capture deadline above if it were shared
+        enterPhase("page_load", 200);
+        enterPhase("capture");
+      }),
+    ]);
+    await sleep(80);
+    return signal.aborted;
+  });
+  assert.equal(aborted, false);
+});
+
+test("the sweep removes only job directories older than the limit", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "sweep-test-"));
+  try {
+    const past = new Date(Date.now() - 60000);
+    for (const name of ["job-old", "other-old"]) {
+      await fs.mkdir(path.join(dir, name));
+      await fs.utimes(path.join(dir, name), past, past);
+    }
+    await fs.mkdir(path.join(dir, "job-new"));
+
+    assert.equal(await sweepJobDirs(dir, { olderThanMs: 30000 }), 1);
+    assert.deepEqual((await fs.readdir(dir)).sort(), ["job-new", "other-old"]);
+    assert.equal(await sweepJobDirs(dir, { olderThanMs: 0 }), 1);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("the sweep keeps directories of running jobs", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "sweep-test-"));
+  try {
+    const past = new Date(Date.now() - 60000);
+    for (const name of ["job-batch", "job-crashed"]) {
+      await fs.mkdir(path.join(dir, name));
+      await fs.utimes(path.join(dir, name), past, past);
+    }
+
+    const active = new Set([path.join(dir, "job-batch")]);
+    assert.equal(await sweepJobDirs(dir, { olderThanMs: 30000, active }), 1);
+    assert.deepEqual(await fs.readdir(dir), ["job-batch"]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("the startup sweep removes only stopped workers' directories", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "sweep-test-"));
+  try {
+    // Above the kernel's pid limit, so never running
+    const [ownPid, stoppedPid] = [2 ** 22 + 1, 2 ** 22 + 2];
+    const names = [
+      workerDirName("host-a", ownPid),
+      workerDirName("host-a", stoppedPid),
+      workerDirName("host-a", process.pid),
+      workerDirName("host-b", stoppedPid),
+      "job-from-elsewhere",
+    ];
+    for (const name of names) await fs.mkdir(path.join(dir, name));
+
+    assert.equal(
+      await sweepWorkerDirs(dir, { hostname: "host-a", pid: ownPid }),
+      2
+    );
+    assert.deepEqual((await fs.readdir(dir)).sort(), names.slice(2).sort());
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
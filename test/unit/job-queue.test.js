@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { setImmediate as tick } from "node:timers/promises";
+import {
+  createJobQueue,
+  isFinished,
+  serializeJob,
+} from "../../lib/job-queue.js";
+
+// A job runner whose jobs finish only when the test says so
+function createControlledRunner() {
+  const runs = [];
+  const runJob = (input, { signal, onProgress }) =>
+    new Promise((resolve, reject) => {
+      runs.push({ input, resolve, reject, onProgress });
+      signal.addEventListener("abort", () => reject(new Error("aborted")));
+    });
+  return { runs, runJob };
+}
+
+test("runs at most `concurrency` jobs and starts the next when one ends", async () => {
+  const { runs, runJob } = createControlledRunner();
+  const queue = createJobQueue(runJob, { concurrency: 2 });
+  const jobs = [1, 2, 3].map((n) => queue.submit({ jobId: `job-${n}` }));
+
+  assert.deepEqual(
+    jobs.map(({ state }) => state),
+    ["rendering", "rendering", "queued"]
+  );
+  assert.deepEqual(queue.stats(), { running: 2, queued: 1, concurrency: 2 });
+
+  runs[0].resolve({ ok: true });
+  await tick();
+  assert.equal(jobs[0].state, "done");
+  assert.deepEqual(jobs[0].result, { ok: true });
+  assert.equal(jobs[0].progress, 100);
+  assert.equal(jobs[2].state, "rendering");
+  assert.equal(runs.length, 3);
+
+  runs[1].resolve();
+  runs[2].resolve();
+  await tick();
+});
+
+test("records progress updates and failures", async () => {
+  const { runs, runJob } = createControlledRunner();
+  const queue = createJobQueue(runJob);
+  const job = queue.submit({ jobId: "job-1" });
+
+  runs[0].onProgress({ progress: 40, frameCount: 12 });
+  assert.equal(job.progress, 40);
+  assert.equal(job.frameCount, 12);
+
+  runs[0].reject(new Error("encoder crashed"));
+  await tick();
+  assert.equal(job.state, "failed");
+  assert.equal(job.error, "encoder crashed");
+  assert.ok(isFinished(job));
+});
+
+test("cancels queued jobs at once and running ones through their signal", async () => {
+  const { runs, runJob } = createControlledRunner();
+  const queue = createJobQueue(runJob);
+  const running = queue.submit({ jobId: "job-1" });
+  const queued = queue.submit({ jobId: "job-2" });
+
+  queue.cancel(queued.id);
+  assert.equal(queued.state, "cancelled");
+
+  queue.cancel(running.id);
+  await tick();
+  assert.equal(running.state, "cancelled");
+  assert.equal(running.error, "Job cancelled");
+  // The cancelled queued job is never started
+  assert.equal(runs.length, 1);
+  // Progress arriving after cancelling is ignored
+  runs[0].onProgress({ progress: 90 });
+  assert.notEqual(running.progress, 90);
+});
+
+test("looks jobs up by id and serializes them for the API", () => {
+  const { runJob } = createControlledRunner();
+  const queue = createJobQueue(runJob);
+  const job = queue.submit({ jobId: "job-1" });
+
+  assert.equal(queue.get(job.id), job);
+  assert.equal(queue.get("missing"), null);
+  assert.equal(queue.cancel("missing"), null);
+
+  const view = serializeJob(job);
+  assert.equal(view.id, job.id);
+  assert.equal(view.jobId, "job-1");
+  assert.equal(view.state, "rendering");
+  assert.deepEqual(view.webhookDeliveries, []);
+  assert.equal("controller" in view, false);
+  queue.cancel(job.id);
+});
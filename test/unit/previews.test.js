@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { normalizeOutputs } from "../../lib/encoding.js";
+import { findPreviewOutput, normalizePreviews } from "../../lib/previews.js";
+
+test("fills in a first-frame poster, two thumbnails and a sprite", () => {
+  assert.deepEqual(normalizePreviews(), {
+    posterTime: 0,
+    thumbnailWidths: [320, 640],
+    sprite: { interval: 1, columns: 10, width: 160 },
+  });
+});
+
+test("can be turned off, wholly or just the sprite", () => {
+  assert.equal(normalizePreviews(false), null);
+  assert.equal(normalizePreviews({ sprite: false }).sprite, null);
+});
+
+test("keeps given settings and drops duplicate widths", () => {
+  assert.deepEqual(
+    normalizePreviews({
+      posterTime: "last",
+      thumbnailWidths: [200, 200, 400],
+      sprite: { interval: 0.5, columns: 5 },
+    }),
+    {
+      posterTime: "last",
+      thumbnailWidths: [200, 400],
+      sprite: { interval: 0.5, columns: 5, width: 160 },
+    }
+  );
+});
+
+test("rejects invalid settings with the field named", () => {
+  for (const [previews, pattern] of [
+    ["yes", /previews must be an object or false/],
+    [{ posterTime: "middle" }, /previews\.posterTime/],
+    [{ posterTime: -1 }, /previews\.posterTime/],
+    [{ thumbnailWidths: [320, 0] }, /previews\.thumbnailWidths/],
+    [{ thumbnailWidths: Array(9).fill(100) }, /up to 8/],
+    [{ sprite: { interval: 0 } }, /previews\.sprite\.interval/],
+    [{ sprite: { columns: 2.5 } }, /previews\.sprite\.columns/],
+  ]) {
+    assert.throws(() => normalizePreviews(previews), pattern);
+  }
+});
+
+test("takes streamed previews from a full-size video output only", () => {
+  const outputs = normalizeOutputs([
+    { format: "gif" },
+    { format: "mp4", name: "small", width: 320 },
+    { format: "webm", name: "slow", fps: 12 },
+    { format: "prores", name: "master" },
+    { format: "mp4", name: "full" },
+  ]);
+  assert.equal(findPreviewOutput(outputs).name, "master");
+  assert.equal(findPreviewOutput(outputs.slice(0, 3)), null);
+  assert.equal(
+    findPreviewOutput(normalizeOutputs([{ format: "png-sequence" }])),
+    null
+  );
+});
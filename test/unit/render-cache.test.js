@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { renderCacheKey } from "../../lib/render-cache.js";
+import { validateJobInput } from "../../lib/validation.js";
+
+const baseInput = {
+  jobId: "job-1",
+  webhookUrl: "https://example.com/hook",
+  animationCode: { htmlContent: "<div></div>" },
+  dimensions: { width: 640, height: 360 },
+};
+
+function keyOf(input, workerVersion = "1.0.0") {
+  const { errors, value } = validateJobInput(input);
+  assert.deepEqual(errors, []);
+  return renderCacheKey(input, value, { workerVersion });
+}
+
+test("is a hex SHA-256", () => {
+  assert.match(keyOf(baseInput), /^[0-9a-f]{64}$/);
+});
+
+test("leaves out job id, webhook and force", () => {
+  assert.equal(
+    keyOf({
+      ...baseInput,
+      jobId: "job-2",
+      webhookUrl: "https://example.org/other",
+      force: true,
+    }),
+    keyOf(baseInput)
+  );
+});
+
+test("treats omitted capture settings as their defaults", () => {
+  assert.equal(
+    keyOf({
+      ...baseInput,
+      usesMapbox: false,
+      captureMode: "screencast",
+      fps: 30,
+      loopCycles: 1,
+      segments: 1,
+    }),
+    keyOf(baseInput)
+  );
+});
+
+test("changes with anything that changes the video", () => {
+  const key = keyOf(baseInput);
+  for (const change of [
+    { fps: 60 },
+    { captureMode: "timeline" },
+    { duration: 5 },
+    { dimensions: { width: 320, height: 180 } },
+    { animationCode: { htmlContent: "<p></p>" } },
+    { data: { title: "Hello" } },
+  ]) {
+    assert.notEqual(keyOf({ ...baseInput, ...change }), key, change);
+  }
+  assert.notEqual(keyOf(baseInput, "1.0.1"), key);
+});
+
+test("does not depend on the order of object keys", () => {
+  assert.equal(
+    keyOf({ ...baseInput, data: { a: 1, b: { c: 2, d: 3 } } }),
+    keyOf({ ...baseInput, data: { b: { d: 3, c: 2 }, a: 1 } })
+  );
+});
@@ -0,0 +1,84 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  isInternalHostname,
+  isPrivateAddress,
+  lookupPublicAddress,
+} from "../../lib/sandbox.js";
+
+test("recognizes private and reserved addresses", () => {
+  for (const address of [
+    "0.0.0.0",
+    "10.1.2.3",
+    "127.0.0.1",
+    "100.64.0.1",
+    "169.254.169.254",
+    "172.16.0.1",
+    "192.168.1.1",
+    "224.0.0.1",
+    "::",
+    "::1",
+    "fd00::1",
+    "fe80::1",
+    "::ffff:127.0.0.1",
+  ]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ["8.8.8.8", "172.32.0.1", "2606:4700::1111"]) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test("judges IPv6 addresses that carry an IPv4 one by that address", () => {
+  for (const address of [
+    "::ffff:7f00:1",
+    "::ffff:a9fe:a9fe",
+    "::7f00:1",
+    "::ffff:0:7f00:1",
+    "64:ff9b::7f00:1",
+    "64:ff9b::169.254.169.254",
+    "2002:a9fe:a9fe::1",
+    "2001:0:4136:e378:8000:63bf:80ff:fffe",
+  ]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of [
+    "::ffff:808:808",
+    "64:ff9b::808:808",
+    "2002:808:808::",
+  ]) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test("treats localhost names and private literals as internal", () => {
+  assert.equal(isInternalHostname("localhost"), true);
+  assert.equal(isInternalHostname("api.localhost"), true);
+  assert.equal(isInternalHostname("10.0.0.1"), true);
+  assert.equal(isInternalHostname("example.com"), false);
+  // How URL writes http://[::ffff:127.0.0.1]/
+  assert.equal(
+    isInternalHostname(new URL("http://[::ffff:127.0.0.1]/").hostname),
+    true
+  );
+});
+
+test("refuses to resolve internal hosts", async () => {
+  for (const hostname of [
+    "localhost",
+    "127.0.0.1",
+    "[::1]",
+    "[::ffff:7f00:1]",
+    "[::ffff:a9fe:a9fe]",
+    "[::7f00:1]",
+  ]) {
+    await assert.rejects(lookupPublicAddress(hostname), hostname);
+  }
+});
+
+test("resolves public IP literals to themselves", async () => {
+  assert.deepEqual(await lookupPublicAddress("8.8.8.8"), {
+    address: "8.8.8.8",
+    family: 4,
+  });
+});
@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  checkSegmentBoundaries,
+  planSegment,
+  resolveSegmentCount,
+} from "../../lib/segments.js";
+
+test("plans segments that cover every frame exactly once", () => {
+  const segments = [0, 1, 2].map((index) => planSegment(10, 30, index, 3));
+  assert.equal(segments[0].firstFrame, 0);
+  assert.equal(segments.at(-1).endFrame, 300);
+  for (let i = 1; i < segments.length; i++) {
+    assert.equal(segments[i].firstFrame, segments[i - 1].endFrame);
+    assert.equal(segments[i].start, segments[i - 1].end);
+  }
+  assert.deepEqual(planSegment(1, 30, 1, 4), {
+    index: 1,
+    count: 4,
+    firstFrame: 7,
+    endFrame: 15,
+    start: 7 / 30,
+    end: 0.5,
+  });
+});
+
+test("keeps at least one frame per segment", () => {
+  assert.equal(resolveSegmentCount(8, { duration: 0.1, fps: 30 }), 3);
+  assert.equal(resolveSegmentCount(4, { duration: 10, fps: 30 }), 4);
+});
+
+test("auto picks no segment shorter than the minimum", () => {
+  assert.equal(resolveSegmentCount("auto", { duration: 3, fps: 30 }), 1);
+  assert.equal(
+    resolveSegmentCount("auto", { duration: 60, fps: 30, maxParallel: 2 }),
+    Math.min(2, resolveSegmentCount("auto", { duration: 60, fps: 30 }))
+  );
+});
+
+test("accepts segments that join up", () => {
+  const segments = [0, 1].map((index) => planSegment(2, 30, index, 2));
+  const captures = segments.map(({ firstFrame, endFrame, start, end }) => ({
+    frameCount: endFrame - firstFrame,
+    timeline: { start, end },
+  }));
+  assert.equal(
+    checkSegmentBoundaries(segments, captures, { fps: 30, exact: true }),
+    0
+  );
+});
+
+test("rejects gaps and missing frames", () => {
+  const segments = [0, 1].map((index) => planSegment(2, 30, index, 2));
+  const captures = [
+    { frameCount: 30, timeline: { start: 0, end: 0.9 } },
+    { frameCount: 29, timeline: { start: 1, end: 2 } },
+  ];
+  assert.throws(
+    () => checkSegmentBoundaries(segments, captures, { fps: 30, exact: true }),
+    /segment 1 has 29 frames, expected 30; gap of 0.1s between segments 0 and 1/
+  );
+});
+
+test("allows real-time captures to be off by up to two frames", () => {
+  const segments = [0, 1].map((index) => planSegment(2, 30, index, 2));
+  const captures = [
+    { frameCount: 29, timeline: { start: 0, end: 0.98 } },
+    { frameCount: 31, timeline: { start: 1.01, end: 2 } },
+  ];
+  assert.equal(
+    checkSegmentBoundaries(segments, captures, { fps: 30, exact: false }),
+    0.03
+  );
+});
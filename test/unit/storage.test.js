@@ -0,0 +1,113 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { pathToFileURL } from "node:url";
+import { createStorage } from "../../lib/storage.js";
+
+async function withLocalStorage(options, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "storage-test-"));
+  try {
+    const localDir = path.join(dir, "output");
+    await fn(createStorage({ backend: "local", localDir, ...options }), {
+      dir,
+      localDir,
+    });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test("rejects unknown backends and URL modes", () => {
+  assert.throws(() => createStorage({ backend: "ftp" }), /Unknown storage/);
+  assert.throws(
+    () => createStorage({ backend: "local", urlMode: "signed" }),
+    /Unknown storage URL mode/
+  );
+});
+
+test("copies uploads under the output directory", async () => {
+  await withLocalStorage({}, async (storage, { dir, localDir }) => {
+    const source = path.join(dir, "video.mp4");
+    await fs.writeFile(source, "frames");
+    const progress = [];
+
+    const uploaded = await storage.upload(source, "videos/job-1/video.mp4", {
+      onProgress: (fraction) => progress.push(fraction),
+    });
+
+    const destination = path.join(localDir, "videos/job-1/video.mp4");
+    assert.equal(await fs.readFile(destination, "utf8"), "frames");
+    assert.deepEqual(uploaded, {
+      key: "videos/job-1/video.mp4",
+      url: pathToFileURL(destination).href,
+      expiresAt: null,
+    });
+    assert.deepEqual(progress, [1]);
+  });
+});
+
+test("builds URLs from the public URL when one is set", async () => {
+  await withLocalStorage(
+    { publicUrl: "https://cdn.example.com" },
+    async (storage) => {
+      assert.equal(
+        (await storage.getUrl("videos/a.mp4")).url,
+        "https://cdn.example.com/videos/a.mp4"
+      );
+    }
+  );
+});
+
+test("refuses keys that escape the output directory", async () => {
+  await withLocalStorage({}, async (storage, { dir }) => {
+    const source = path.join(dir, "video.mp4");
+    await fs.writeFile(source, "frames");
+    for (const key of ["../video.mp4", "videos/../../video.mp4"]) {
+      await assert.rejects(
+        storage.upload(source, key),
+        /escapes the output directory/,
+        key
+      );
+    }
+    await assert.rejects(storage.readJson("../outside.json"), /escapes/);
+  });
+});
+
+test("stores JSON documents and reads missing ones as null", async () => {
+  await withLocalStorage({}, async (storage) => {
+    assert.equal(await storage.readJson("manifests/a.json"), null);
+    await storage.writeJson("manifests/a.json", { version: 1 });
+    assert.deepEqual(await storage.readJson("manifests/a.json"), {
+      version: 1,
+    });
+  });
+});
+
+test("local storage is public only when its files are served", async () => {
+  await withLocalStorage({}, async (storage) => {
+    assert.equal(storage.public, false);
+  });
+  await withLocalStorage(
+    { publicUrl: "https://cdn.example.com" },
+    async (storage) => {
+      assert.equal(storage.public, true);
+    }
+  );
+});
+
+test("S3 storage is public unless it hands out presigned URLs", () => {
+  const options = {
+    backend: "r2",
+    endpoint: "https://account.r2.cloudflarestorage.com",
+    bucket: "renders",
+    accessKeyId: "id",
+    secretAccessKey: "secret",
+  };
+  assert.equal(createStorage(options).public, true);
+  assert.equal(
+    createStorage({ ...options, urlMode: "presigned" }).public,
+    false
+  );
+});
@@ -0,0 +1,72 @@
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, test } from "node:test";
+import vm from "node:vm";
+import {
+  createTemplateStore,
+  installTemplateData,
+} from "../../lib/templates.js";
+
+const html = "<div id='name'></div>";
+const htmlId = createHash("sha256").update(html).digest("hex");
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "templates-test-"));
+});
+
+afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+test("stores templates by the hash of their HTML", async () => {
+  const store = createTemplateStore({ dir });
+  assert.equal(await store.save(html), htmlId);
+  assert.equal(await store.save(html), htmlId);
+
+  assert.deepEqual(await fs.readdir(dir), [`${htmlId}.html`]);
+  assert.equal(await store.has(htmlId), true);
+  assert.equal(await store.load(htmlId), html);
+});
+
+test("reports unknown templates as missing", async () => {
+  const store = createTemplateStore({ dir });
+  assert.equal(await store.has("0".repeat(64)), false);
+  assert.equal(await store.load("0".repeat(64)), null);
+});
+
+test("never touches the filesystem for ids that are not hashes", async () => {
+  await fs.writeFile(path.join(dir, "secret.html"), "secret");
+  const store = createTemplateStore({ dir: path.join(dir, "templates") });
+  for (const id of ["../secret", "SECRET", `${htmlId}/..`]) {
+    assert.equal(await store.has(id), false);
+    assert.equal(await store.load(id), null);
+  }
+});
+
+test("exposes data to the page as a frozen global", async () => {
+  const context = vm.createContext({});
+  const page = {
+    addInitScript: async (script, arg) =>
+      vm.runInContext(`(${script})(${JSON.stringify(arg)})`, context),
+  };
+  await installTemplateData(page, { name: "Ada", items: [{ price: 1 }] });
+
+  const result = vm.runInContext(
+    `"use strict";
+    const data = globalThis.__renderData;
+    const attempts = [
+      () => { data.name = "Eve"; },
+      () => { data.items[0].price = 2; },
+      () => { data.items.push({}); },
+      () => { globalThis.__renderData = {}; },
+    ].filter((attempt) => {
+      try { attempt(); return false; } catch { return true; }
+    });
+    ({ name: data.name, price: data.items[0].price, refused: attempts.length })`,
+    context
+  );
+  assert.deepEqual({ ...result }, { name: "Ada", price: 1, refused: 4 });
+});
@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { LIMITS, validateJobInput } from "../../lib/validation.js";
+
+const validInput = {
+  jobId: "job-1",
+  webhookUrl: "https://example.com/hook",
+  animationCode: { htmlContent: "<div></div>" },
+  dimensions: { width: 640, height: 360 },
+};
+
+const fields = (input, options) =>
+  validateJobInput(input, options).errors.map(({ field }) => field);
+
+test("accepts a minimal job and applies capture defaults", () => {
+  const { errors, value } = validateJobInput(validInput);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value.capture, {
+    usesMapbox: false,
+    captureMode: "screencast",
+    fps: 30,
+    duration: null,
+    loopCycles: 1,
+    segments: 1,
+  });
+});
+
+test("keeps capture settings that are given", () => {
+  const { value } = validateJobInput({
+    ...validInput,
+    captureMode: "timeline",
+    fps: 60,
+    duration: 4,
+    segments: "auto",
+  });
+  assert.equal(value.capture.captureMode, "timeline");
+  assert.equal(value.capture.fps, 60);
+  assert.equal(value.capture.duration, 4);
+  assert.equal(value.capture.segments, "auto");
+});
+
+test("requires a webhook unless told otherwise", () => {
+  const { webhookUrl, ...input } = validInput;
+  assert.deepEqual(fields(input), ["webhookUrl"]);
+  assert.deepEqual(fields(input, { requireWebhook: false }), []);
+});
+
+test("rejects fields outside the schema", () => {
+  assert.deepEqual(fields({ ...validInput, colour: "red" }), ["colour"]);
+});
+
+test("checks limits of numeric fields", () => {
+  assert.deepEqual(fields({ ...validInput, fps: LIMITS.MAX_FPS + 1 }), ["fps"]);
+  assert.deepEqual(
+    fields({ ...validInput, dimensions: { width: 641, height: 360 } }),
+    ["dimensions.width"]
+  );
+  // Both alternatives of "auto" or a count report on the field
+  assert.deepEqual(
+    new Set(fields({ ...validInput, segments: LIMITS.MAX_SEGMENTS + 1 })),
+    new Set(["segments"])
+  );
+});
+
+test("needs exactly one of animationCode and template", () => {
+  const { animationCode, ...input } = validInput;
+  assert.deepEqual(fields(input), ["animationCode"]);
+  assert.deepEqual(
+    fields({ ...validInput, template: { htmlContent: "<div></div>" } }),
+    ["template"]
+  );
+  assert.deepEqual(fields({ ...input, template: {} }), ["template"]);
+});
+
+test("needs dimensions unless variants are given", () => {
+  const { dimensions, ...input } = validInput;
+  assert.ok(fields(input).includes("dimensions"));
+  assert.deepEqual(
+    fields({
+      ...input,
+      variants: [{ name: "square", dimensions: { width: 100, height: 100 } }],
+    }),
+    []
+  );
+});
+
+test("does not allow data and batch together", () => {
+  assert.deepEqual(fields({ ...validInput, data: {}, batch: [{}] }), ["batch"]);
+});
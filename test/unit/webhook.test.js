@@ -0,0 +1,56 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { test } from "node:test";
+import {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  signPayload,
+  verifySignature,
+} from "../../lib/webhook.js";
+
+const secret = "test-secret";
+const body = JSON.stringify({ jobId: "job-1", status: "COMPLETED" });
+
+const signedHeaders = (timestamp, payload = body) => ({
+  [TIMESTAMP_HEADER.toLowerCase()]: timestamp,
+  [SIGNATURE_HEADER.toLowerCase()]: `sha256=${signPayload(
+    secret,
+    timestamp,
+    payload
+  )}`,
+});
+const now = () => Math.floor(Date.now() / 1000).toString();
+
+test("signs the timestamp and body with HMAC-SHA256", () => {
+  const expected = crypto
+    .createHmac("sha256", "key")
+    .update("1700000000.{}")
+    .digest("hex");
+  assert.equal(signPayload("key", "1700000000", "{}"), expected);
+  assert.notEqual(
+    signPayload("key", "1700000001", "{}"),
+    signPayload("key", "1700000000", "{}")
+  );
+});
+
+test("accepts a fresh delivery signed with the secret", () => {
+  assert.equal(verifySignature(secret, signedHeaders(now()), body), true);
+});
+
+test("rejects a tampered body or another secret", () => {
+  const headers = signedHeaders(now());
+  assert.equal(verifySignature(secret, headers, `${body} `), false);
+  assert.equal(verifySignature("other-secret", headers, body), false);
+});
+
+test("rejects missing headers and old deliveries", () => {
+  assert.equal(verifySignature(secret, {}, body), false);
+  const old = (Math.floor(Date.now() / 1000) - 600).toString();
+  assert.equal(verifySignature(secret, signedHeaders(old), body), false);
+  assert.equal(
+    verifySignature(secret, signedHeaders(old), body, {
+      toleranceSeconds: 900,
+    }),
+    true
+  );
+});